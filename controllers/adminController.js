@@ -0,0 +1,269 @@
+import mongoose from "mongoose";
+import * as z from "zod";
+import User from "../models/User.js";
+import Place from "../models/Place.js";
+import Experience from "../models/Experience.js";
+import Booking from "../models/Booking.js";
+import { Service } from "../models/Service.js";
+import { revokeUserSessions } from "../utils/sessions.js";
+import { POLICY_NAMES } from "../utils/cancellationPolicy.js";
+
+const pagination = ({ page = 1, limit = 20 }) => {
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+const invalidId = (res, label) =>
+  res.status(400).json({ success: false, error: `Invalid ${label} ID format` });
+
+const ROLES = User.schema.path("role").enumValues;
+const roleSchema = z.enum(ROLES);
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ------------------- USERS -------------------
+// GET /admin/users?search=&role=&suspended=true&page=&limit=
+export const listUsers = async (req, res) => {
+  try {
+    const { search, role, suspended } = req.query;
+    const query = {};
+    if (role) query.role = role;
+    if (suspended !== undefined) query.suspended = suspended === "true" ? true : { $ne: true };
+    if (search) {
+      const regex = new RegExp(escapeRegex(search), "i");
+      query.$or = [{ name: regex }, { email: regex }];
+    }
+
+    const { pageNum, limitNum, skip } = pagination(req.query);
+    const [users, total] = await Promise.all([
+      User.find(query).select("-password -wishlist").sort({ _id: -1 }).skip(skip).limit(limitNum),
+      User.countDocuments(query),
+    ]);
+
+    res.json({ success: true, users, total, currentPage: pageNum, totalPages: Math.ceil(total / limitNum) });
+  } catch (error) {
+    console.error("Admin Users Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch users" });
+  }
+};
+
+// POST /admin/users/:id/suspend { reason } - also logs the user out everywhere
+export const suspendUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res, "user");
+    if (id === req.user.id) {
+      return res.status(400).json({ success: false, error: "You cannot suspend your own account" });
+    }
+
+    const reason = req.body?.reason?.trim();
+    if (!reason) return res.status(400).json({ success: false, error: "A reason is required" });
+
+    const user = await User.findByIdAndUpdate(
+      id,
+      { $set: { suspended: true, suspendedAt: new Date(), suspendedReason: reason, suspendedBy: req.user.id } },
+      { new: true }
+    ).select("-password -wishlist");
+    if (!user) return res.status(404).json({ success: false, error: "User not found" });
+
+    await revokeUserSessions(user._id);
+    res.json({ success: true, message: "User suspended", user });
+  } catch (error) {
+    console.error("Suspend User Error:", error);
+    res.status(500).json({ success: false, error: "Failed to suspend user" });
+  }
+};
+
+export const unsuspendUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res, "user");
+
+    const user = await User.findByIdAndUpdate(
+      id,
+      {
+        $set: { suspended: false },
+        $unset: { suspendedAt: 1, suspendedReason: 1, suspendedBy: 1 },
+      },
+      { new: true }
+    ).select("-password -wishlist");
+    if (!user) return res.status(404).json({ success: false, error: "User not found" });
+
+    res.json({ success: true, message: "User reinstated", user });
+  } catch (error) {
+    console.error("Unsuspend User Error:", error);
+    res.status(500).json({ success: false, error: "Failed to reinstate user" });
+  }
+};
+
+// PATCH /admin/users/:id/role { role } - the only way to grant admin. The
+// user's sessions are revoked so the new role applies on their next login.
+export const changeUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res, "user");
+    if (id === req.user.id) {
+      return res.status(400).json({ success: false, error: "You cannot change your own role" });
+    }
+
+    const parsed = roleSchema.safeParse(req.body?.role);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, error: `Role must be one of ${ROLES.join(", ")}` });
+    }
+
+    const user = await User.findByIdAndUpdate(id, { $set: { role: parsed.data } }, { new: true })
+      .select("-password -wishlist");
+    if (!user) return res.status(404).json({ success: false, error: "User not found" });
+
+    await revokeUserSessions(user._id);
+    res.json({ success: true, message: "Role updated", user });
+  } catch (error) {
+    console.error("Change Role Error:", error);
+    res.status(500).json({ success: false, error: "Failed to change role" });
+  }
+};
+
+// ------------------- LISTINGS -------------------
+// Places and experiences share the same publish flags
+const MODERATED = {
+  places: { Model: Place, label: "Place" },
+  experiences: { Model: Experience, label: "Experience" },
+};
+
+const setPublished = (kind, published) => async (req, res) => {
+  const { Model, label } = MODERATED[kind];
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res, label.toLowerCase());
+
+    let update;
+    if (published) {
+      update = { $set: { published: true }, $unset: { unpublishedAt: 1, unpublishedReason: 1, unpublishedBy: 1 } };
+    } else {
+      const reason = req.body?.reason?.trim();
+      if (!reason) return res.status(400).json({ success: false, error: "A reason is required" });
+      update = { $set: { published: false, unpublishedAt: new Date(), unpublishedReason: reason, unpublishedBy: req.user.id } };
+    }
+
+    const listing = await Model.findByIdAndUpdate(id, update, { new: true });
+    if (!listing) return res.status(404).json({ success: false, error: `${label} not found` });
+
+    res.json({ success: true, message: `${label} ${published ? "published" : "unpublished"}`, listing });
+  } catch (error) {
+    console.error("Publish Listing Error:", error);
+    res.status(500).json({ success: false, error: `Failed to update ${label.toLowerCase()}` });
+  }
+};
+
+// POST /admin/places/:id/unpublish { reason } - existing bookings are kept
+export const unpublishPlace = setPublished("places", false);
+export const publishPlace = setPublished("places", true);
+// POST /admin/experiences/:id/unpublish { reason }
+export const unpublishExperience = setPublished("experiences", false);
+export const publishExperience = setPublished("experiences", true);
+
+// ------------------- BOOKINGS -------------------
+// GET /admin/bookings?status=&type=&userId=&placeId=&from=&to=&page=&limit=
+// from/to filter on when the booking was made
+export const listAllBookings = async (req, res) => {
+  try {
+    const { status, type, userId, placeId, from, to } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    for (const [field, value] of [["user", userId], ["place", placeId]]) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) return invalidId(res, field);
+      query[field] = value;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lt = new Date(to);
+    }
+
+    const { pageNum, limitNum, skip } = pagination(req.query);
+    const [bookings, total] = await Promise.all([
+      Booking.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate("user", "name email")
+        .populate("place", "title address owner")
+        .populate("item", "title"),
+      Booking.countDocuments(query),
+    ]);
+
+    res.json({ success: true, bookings, total, currentPage: pageNum, totalPages: Math.ceil(total / limitNum) });
+  } catch (error) {
+    console.error("Admin Bookings Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch bookings" });
+  }
+};
+
+// ------------------- SERVICES -------------------
+const serviceSchema = z.object({
+  title: z.string().trim().min(2, "Title is too short"),
+  description: z.string().optional(),
+  price: z.number().nonnegative("Price must be 0 or more"),
+  currency: z.string().regex(/^[A-Za-z]{3}$/, "Currency must be a 3-letter ISO code").optional(),
+  rating: z.number().min(0).max(5).optional(),
+  image: z.string().optional(),
+  cancellationPolicy: z.enum(POLICY_NAMES).optional(),
+});
+
+const validationError = (res, parsed) =>
+  res.status(400).json({ success: false, error: "Validation failed", issues: parsed.error.issues });
+
+export const createService = async (req, res) => {
+  try {
+    const parsed = serviceSchema.safeParse(req.body);
+    if (!parsed.success) return validationError(res, parsed);
+
+    const service = await Service.create(parsed.data);
+    res.status(201).json({ success: true, service });
+  } catch (error) {
+    console.error("Create Service Error:", error);
+    res.status(500).json({ success: false, error: "Failed to create service" });
+  }
+};
+
+export const updateService = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res, "service");
+
+    const parsed = serviceSchema.partial().safeParse(req.body);
+    if (!parsed.success) return validationError(res, parsed);
+
+    const service = await Service.findByIdAndUpdate(id, { $set: parsed.data }, { new: true, runValidators: true });
+    if (!service) return res.status(404).json({ success: false, error: "Service not found" });
+
+    res.json({ success: true, service });
+  } catch (error) {
+    console.error("Update Service Error:", error);
+    res.status(500).json({ success: false, error: "Failed to update service" });
+  }
+};
+
+// Services with bookings that still have to happen cannot be removed
+export const deleteService = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res, "service");
+
+    const active = await Booking.exists({ type: "service", item: id, status: { $in: ["pending", "confirmed"] } });
+    if (active) {
+      return res.status(409).json({ success: false, error: "This service has open bookings" });
+    }
+
+    const service = await Service.findByIdAndDelete(id);
+    if (!service) return res.status(404).json({ success: false, error: "Service not found" });
+
+    res.json({ success: true, message: "Service deleted" });
+  } catch (error) {
+    console.error("Delete Service Error:", error);
+    res.status(500).json({ success: false, error: "Failed to delete service" });
+  }
+};
@@ -1,11 +1,39 @@
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
 import * as z from "zod";
 
 import User from "../models/User.js";
 import Place from "../models/Place.js";
 import Booking from "../models/Booking.js";
-import { jwtSecret } from "../middlewares/auth.js";
+import Session from "../models/Session.js";
+import {
+  startSession, rotateSession, revokeSession, revokeUserSessions, refreshTokenSession,
+  setAuthCookies, clearAuthCookies, REFRESH_COOKIE,
+} from "../utils/sessions.js";
+import { issueAuthToken, consumeAuthToken, clientUrl, TOKEN_TTL_MINUTES } from "../utils/authTokens.js";
+import { enqueueMail } from "../utils/mailer.js";
+
+const passwordSchema = z.string().min(6, { message: "Password must be at least 6 characters" });
+
+// Verification / reset mails go through the outbox; a mail failure never
+// fails the request that triggered it. Mails carrying a token link are
+// marked sensitive so the link isn't kept in the outbox after sending.
+const sendAccountMail = async (to, template, data, { sensitive = false } = {}) => {
+  try {
+    await enqueueMail({ to, template, data, sensitive });
+  } catch (err) {
+    console.error(`Account mail "${template}" failed:`, err);
+  }
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueAuthToken(user._id, "verify-email");
+  await sendAccountMail(user.email, "verify-email", {
+    name: user.name,
+    link: clientUrl("/verify-email", token),
+    hours: TOKEN_TTL_MINUTES["verify-email"] / 60,
+  }, { sensitive: true });
+};
 
 // ====================== REGISTER ======================
 export const register = async (req, res) => {
@@ -14,8 +42,9 @@ export const register = async (req, res) => {
     const userSchema = z.object({
       name: z.string().min(2, { message: "Name is too short" }),
       email: z.string().email({ message: "Invalid email format" }),
-      password: z.string().min(6, { message: "Password must be at least 6 characters" }),
-      role: z.string().optional(),
+      password: passwordSchema,
+      // Admin is only granted by another admin (or a seed script)
+      role: z.enum(["customer", "host"]).optional(),
     });
 
     // Parse and validate request body
@@ -46,12 +75,15 @@ export const register = async (req, res) => {
       role: role || "customer",
     });
 
+    await sendVerificationEmail(user);
+
     // Respond with created user (excluding password)
     res.status(201).json({
       _id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      emailVerified: user.emailVerified,
     });
   } catch (err) {
     console.error("Register Error:", err);
@@ -74,26 +106,17 @@ export const login = async (req, res) => {
 
     const passOk = await bcrypt.compare(password, user.password);
     if (!passOk) return res.status(401).json({ error: "Invalid credentials" });
+    if (user.suspended) return res.status(403).json({ error: "This account has been suspended" });
 
-    const token = jwt.sign(
-      { email: user.email, id: user._id, role: user.role },
-      jwtSecret,
-      { expiresIn: "7d" }
-    );
-
-    res.cookie("token", token, {
-      httpOnly: true,
-      sameSite: "None",
-      secure: true, 
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      path: "/",
-    });
+    const tokens = await startSession(user, req);
+    setAuthCookies(res, tokens);
 
     res.json({
       _id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      emailVerified: user.emailVerified,
     });
   } catch (err) {
     console.error("Login Error:", err);
@@ -127,10 +150,212 @@ export const stats = async (req, res) => {
   }
 };
 
+// ====================== REFRESH ======================
+// Swaps the refresh token cookie for a new access + refresh token pair
+export const refresh = async (req, res) => {
+  try {
+    const result = await rotateSession(req.cookies[REFRESH_COOKIE], req, (id) => User.findById(id));
+    if (result.error) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: result.error });
+    }
+
+    setAuthCookies(res, result);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Refresh Error:", err);
+    res.status(500).json({ error: "Failed to refresh session" });
+  }
+};
+
 // ====================== LOGOUT ======================
-export const logout = (req, res) => {
-  res.clearCookie("token", { httpOnly: true, path: "/" });
-  res.json({ success: true, message: "Logged out successfully" });
+export const logout = async (req, res) => {
+  try {
+    const sessionId = refreshTokenSession(req.cookies[REFRESH_COOKIE]);
+    if (sessionId) await revokeSession(sessionId, "logout");
+
+    clearAuthCookies(res);
+    res.json({ success: true, message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Logout Error:", err);
+    res.status(500).json({ error: "Logout failed" });
+  }
+};
+
+// ====================== EMAIL VERIFICATION ======================
+export const verifyEmail = async (req, res) => {
+  try {
+    const authToken = await consumeAuthToken(req.body?.token, "verify-email");
+    if (!authToken) return res.status(400).json({ error: "Verification link is invalid or has expired" });
+
+    const user = await User.findByIdAndUpdate(
+      authToken.user,
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    res.json({ success: true, message: "Email verified" });
+  } catch (err) {
+    console.error("Verify Email Error:", err);
+    res.status(500).json({ error: "Failed to verify email" });
+  }
+};
+
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.emailVerified) return res.status(400).json({ error: "Email already verified" });
+
+    await sendVerificationEmail(user);
+    res.json({ success: true, message: "Verification email sent" });
+  } catch (err) {
+    console.error("Resend Verification Error:", err);
+    res.status(500).json({ error: "Failed to send verification email" });
+  }
+};
+
+// ====================== PASSWORD ======================
+// Same answer whether or not the email is registered
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    if (!email) return res.status(400).json({ error: "Email is required" });
+
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = await issueAuthToken(user._id, "reset-password");
+      await sendAccountMail(user.email, "password-reset", {
+        name: user.name,
+        link: clientUrl("/reset-password", token),
+        minutes: TOKEN_TTL_MINUTES["reset-password"],
+      }, { sensitive: true });
+    }
+
+    res.json({ success: true, message: "If that email is registered, a reset link is on its way" });
+  } catch (err) {
+    console.error("Forgot Password Error:", err);
+    res.status(500).json({ error: "Failed to start password reset" });
+  }
+};
+
+// Logs out every device: whoever had the old password loses access
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    const parsed = passwordSchema.safeParse(password);
+    if (!parsed.success) return res.status(400).json({ error: parsed.error.issues[0].message });
+
+    const authToken = await consumeAuthToken(token, "reset-password");
+    if (!authToken) return res.status(400).json({ error: "Reset link is invalid or has expired" });
+
+    const user = await User.findById(authToken.user);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    user.password = await bcrypt.hash(parsed.data, 10);
+    user.passwordChangedAt = new Date();
+    // Getting the link proves the address works
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeUserSessions(user._id);
+
+    clearAuthCookies(res);
+    await sendAccountMail(user.email, "password-changed", { name: user.name });
+    res.json({ success: true, message: "Password reset, please log in" });
+  } catch (err) {
+    console.error("Reset Password Error:", err);
+    res.status(500).json({ error: "Failed to reset password" });
+  }
+};
+
+// Other devices are logged out; this one stays signed in
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword) return res.status(400).json({ error: "Current password is required" });
+
+    const parsed = passwordSchema.safeParse(newPassword);
+    if (!parsed.success) return res.status(400).json({ error: parsed.error.issues[0].message });
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const passOk = await bcrypt.compare(currentPassword, user.password);
+    if (!passOk) return res.status(401).json({ error: "Current password is incorrect" });
+
+    user.password = await bcrypt.hash(parsed.data, 10);
+    user.passwordChangedAt = new Date();
+    await user.save();
+    await revokeUserSessions(user._id, { except: req.user.sid });
+
+    await sendAccountMail(user.email, "password-changed", { name: user.name });
+    res.json({ success: true, message: "Password changed" });
+  } catch (err) {
+    console.error("Change Password Error:", err);
+    res.status(500).json({ error: "Failed to change password" });
+  }
+};
+
+// ====================== SESSIONS ======================
+// Devices currently logged in to the account
+export const listSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      sessions: sessions.map((s) => ({ ...s, current: s._id.toString() === req.user.sid })),
+    });
+  } catch (err) {
+    console.error("Sessions Error:", err);
+    res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+};
+
+export const revokeOneSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid session ID format" });
+    }
+
+    const session = await Session.findOne({ _id: id, user: req.user.id, revokedAt: null });
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    await revokeSession(session._id);
+    if (id === req.user.sid) clearAuthCookies(res);
+
+    res.json({ success: true, message: "Session revoked" });
+  } catch (err) {
+    console.error("Revoke Session Error:", err);
+    res.status(500).json({ error: "Failed to revoke session" });
+  }
+};
+
+// ?keepCurrent=true logs out every other device
+export const revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === "true";
+    const { modifiedCount } = await revokeUserSessions(req.user.id, {
+      except: keepCurrent ? req.user.sid : undefined,
+    });
+    if (!keepCurrent) clearAuthCookies(res);
+
+    res.json({ success: true, message: "Sessions revoked", revoked: modifiedCount });
+  } catch (err) {
+    console.error("Revoke Sessions Error:", err);
+    res.status(500).json({ error: "Failed to revoke sessions" });
+  }
 };
 
 // ====================== BECOME HOST ======================
@@ -142,6 +367,10 @@ export const becomeHost = async (req, res) => {
     if (user.role === "host") {
       return res.status(400).json({ error: "You are already a host" });
     }
+    // Staff roles are changed by an admin, never by stepping down here
+    if (user.role !== "customer") {
+      return res.status(400).json({ error: "Only customers can become hosts" });
+    }
 
     user.role = "host";
     await user.save();
@@ -2,119 +2,569 @@ import Booking from "../models/Booking.js";
 import Place from "../models/Place.js";
 import Experience from "../models/Experience.js";
 import { Service } from "../models/Service.js";
-import nodemailer from "nodemailer";
+import ExperienceSlot from "../models/ExperienceSlot.js";
 import mongoose from "mongoose"; // Added missing import
+import { getPaymentGateway, toSmallestUnit } from "../utils/paymentGateway.js";
+import { findOverlappingBooking, findBlockedRange, toDateKey } from "../utils/availability.js";
+import { priceBooking, bookingSubtotal } from "../utils/pricing.js";
+import { findApplicableCoupon } from "../utils/coupons.js";
+import Coupon from "../models/Coupon.js";
+import Trip from "../models/Trip.js";
+import { findListing, isPublished, LISTING_TYPES } from "../utils/listings.js";
+import {
+  resolveFx, convertAmount, loadRates, isSupportedCurrency, withConvertedPrices,
+} from "../utils/currency.js";
+import {
+  addNights, moveNights, dropHeldNights, nightsAvailable, reserveSeats, releaseSeats, releaseBookingInventory,
+} from "../utils/inventory.js";
+import { openRefund, approveRefund, processRefund } from "../utils/refunds.js";
+import { isHoldLapsed, holdExpiry } from "../utils/holds.js";
+import { validateContact, findExperienceSlot, prepareBooking, claimDraft, releaseDraft } from "../utils/bookingDrafts.js";
+import { confirmPaidBooking, failUnpaidBooking } from "../utils/bookingPayments.js";
+import { confirmPaidTrip, failUnpaidTrip } from "../utils/trips.js";
+import { EVENTS, emitEvent } from "../utils/events.js";
+import { recordModification } from "../utils/ledger.js";
+import {
+  applyModification, settleModificationPayment, abandonPendingModification,
+} from "../utils/bookingModifications.js";
+import { recordSharePayment, shareForOrder } from "../utils/splitPayments.js";
+import {
+  issueInvoice, renderInvoiceHtml, renderInvoicePdf, invoiceFilename, taxBreakdown,
+  amendInvoiceForModification, bookingInvoiceNotes,
+} from "../utils/invoices.js";
+import { normalizeGuests, validateGuests, countGuests } from "../utils/guests.js";
+import {
+  calculateRefund, bookingStartsAt, CANCELLATION_POLICIES,
+} from "../utils/cancellationPolicy.js";
 
 // status constants
 const BOOKING_STATUS = {
   PENDING: "pending",
   CONFIRMED: "confirmed",
   CANCELED: "canceled",
+  FAILED: "failed",
+  EXPIRED: "expired",
 };
 
 // ------------------- CREATE BOOKING -------------------
 export const createBooking = async (req, res) => {
   try {
-    const {
-      type,
-      itemId,
-      checkIn,
-      checkOut,
-      date,
-      numberOfGuests,
-      name,
-      phone,
-      paymentMethod,
-      transactionId,
-      totalPrice,
-      userName,
-      userEmail,
-    } = req.body;
+    const { type, itemId, name, phone, paymentMethod } = req.body;
 
     // ---------------- VALIDATION BLOCK ----------------
-    if (!type || !itemId || !numberOfGuests || !name || !phone || !paymentMethod) {
+    if (!type || !itemId || !(req.body.guests || req.body.numberOfGuests) || !name || !phone || !paymentMethod) {
       return res.status(400).json({ success: false, error: "Missing required fields" });
     }
 
-    // Validate phone number (Indian format: 10 digits, starting 6-9)
-    const phoneRegex = /^[6-9]\d{9}$/;
-    if (!phoneRegex.test(phone)) {
-      return res.status(400).json({ success: false, error: "Invalid phone number format. Must be a 10-digit valid Indian number." });
+    const contactError = validateContact({ name, phone });
+    if (contactError) return res.status(400).json({ success: false, error: contactError });
+
+    // ---------------------------------------------------
+
+    const prepared = await prepareBooking(req.body, { userId: req.user?.id, currency: req.body.currency });
+    if (prepared.error) {
+      const { status, ...failure } = prepared;
+      return res.status(status).json({ success: false, ...failure });
     }
 
-    // Validate name (min 2 chars, alphabetic)
-    const nameRegex = /^[A-Za-z\s]{2,}$/;
-    if (!nameRegex.test(name)) {
-      return res.status(400).json({ success: false, error: "Name must contain only letters and be at least 2 characters long." });
+    const { draft } = prepared;
+    const claimFailure = await claimDraft(draft);
+    if (claimFailure) {
+      const { status, ...failure } = claimFailure;
+      return res.status(status).json({ success: false, ...failure });
     }
 
-    // Validate number of guests
-    if (isNaN(numberOfGuests) || numberOfGuests <= 0) {
-      return res.status(400).json({ success: false, error: "Invalid number of guests" });
+    let booking;
+    try {
+      booking = await Booking.create(draft.bookingData);
+    } catch (err) {
+      await releaseDraft(draft);
+      throw err;
+    }
+
+    if (booking.hostApproval?.status === "awaiting") {
+      emitEvent(EVENTS.BOOKING_REQUESTED, { bookingId: booking._id });
+    }
+    res.status(201).json({ success: true, bookingId: booking._id, booking });
+  } catch (error) {
+    console.error("Booking Error:", error);
+    res.status(500).json({ success: false, error: error.message || "Booking failed" });
+  }
+};
+
+// ------------------- QUOTE -------------------
+// GET /quote?type=&itemId=&checkIn=&checkOut=&date=&guests=
+// Prices a booking exactly as createBooking would, without reserving anything.
+// `guests` is a head count; adults/children/infants/pets may be sent instead.
+export const getQuote = async (req, res) => {
+  try {
+    const { type, itemId, checkIn, checkOut, date, slotId, startTime, couponCode, currency } = req.query;
+
+    if (!type || !itemId) {
+      return res.status(400).json({ success: false, error: "type and itemId are required" });
+    }
+    if (!LISTING_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: "Invalid booking type" });
     }
 
-    // Additional date validation for places
     if (type === "place") {
       if (!checkIn || !checkOut) {
         return res.status(400).json({ success: false, error: "Check-in and check-out dates are required" });
       }
+      if (isNaN(new Date(checkIn)) || isNaN(new Date(checkOut))) {
+        return res.status(400).json({ success: false, error: "Invalid check-in/check-out date format" });
+      }
+      if (new Date(checkOut) <= new Date(checkIn)) {
+        return res.status(400).json({ success: false, error: "Check-out date must be after check-in date" });
+      }
+    } else if (!date && !slotId) {
+      return res.status(400).json({ success: false, error: "Date required" });
+    }
 
-      const checkInDate = new Date(checkIn);
-      const checkOutDate = new Date(checkOut);
+    const item = await findListing(type, itemId);
+    if (!item) return res.status(404).json({ success: false, error: "Listing not found" });
+    if (!isPublished(item)) {
+      return res.status(400).json({ success: false, error: "This listing is not available for booking" });
+    }
 
-      if (isNaN(checkInDate) || isNaN(checkOutDate)) {
-        return res.status(400).json({ success: false, error: "Invalid check-in/check-out date format" });
+    const fx = await resolveFx(item.currency, currency);
+    if (!fx) return res.status(400).json({ success: false, error: "Unsupported currency" });
+
+    const { adults, children, infants, pets } = req.query;
+    const guests = adults !== undefined
+      ? normalizeGuests({ guests: { adults, children, infants, pets } })
+      : normalizeGuests({ numberOfGuests: req.query.guests ?? 1 });
+
+    const guestError = validateGuests(guests, item);
+    if (guestError) return res.status(400).json({ success: false, error: guestError });
+    const numberOfGuests = countGuests(guests, item);
+
+    let available = true;
+    let slot;
+    if (type === "place") {
+      // Same checks as createBooking, including the nights held by unpaid bookings
+      available =
+        !findBlockedRange(item, checkIn, checkOut) &&
+        !(await findOverlappingBooking(itemId, checkIn, checkOut)) &&
+        (await nightsAvailable(item._id, checkIn, checkOut));
+    } else if (type === "experience") {
+      slot = await findExperienceSlot(itemId, { slotId, date, startTime });
+      available = !!slot && slot.seatsLeft >= numberOfGuests;
+    }
+
+    // The quote is public: per-user coupon limits can only be checked for a
+    // logged-in caller, otherwise eligibility is reported as "unknown"
+    let coupon;
+    let couponError = null;
+    let couponEligibility;
+    if (couponCode) {
+      const check = await findApplicableCoupon({ code: couponCode, userId: req.user?.id, type, itemId });
+      coupon = check.coupon;
+      couponError = check.error || null;
+      if (couponError) couponEligibility = "ineligible";
+      else couponEligibility = coupon.perUserLimit && !req.user ? "unknown" : "eligible";
+    }
+
+    // A coupon that fails its minimum spend is reported but priced at zero
+    const quoted = priceBooking({ type, item, checkIn, checkOut, numberOfGuests, coupon, fx });
+    const discount = quoted.discount ? { code: coupon.code, amount: quoted.discount } : null;
+
+    const taxes = taxBreakdown(
+      {
+        type,
+        price: quoted.price,
+        nightlyRates: quoted.nightlyRates,
+        numberOfGuests,
+        extraGuestFee: quoted.extraGuestFee,
+        cleaningFee: quoted.cleaningFee,
+        stayDiscount: quoted.stayDiscount,
+        discount,
+        serviceFee: quoted.serviceFee,
+        currency: fx.currency,
+        baseExchangeRate: fx.baseRate,
+        checkIn,
+        checkOut,
+      },
+      item
+    );
+
+    res.json({
+      success: true,
+      quote: {
+        type,
+        itemId,
+        checkIn: type === "place" ? toDateKey(checkIn) : undefined,
+        checkOut: type === "place" ? toDateKey(checkOut) : undefined,
+        date: slot ? slot.date : date ? toDateKey(date) : undefined,
+        slot: slot ? { id: slot._id, startTime: slot.startTime, seatsLeft: slot.seatsLeft } : undefined,
+        guests,
+        numberOfGuests,
+        available,
+        nightlyRates: quoted.nightlyRates,
+        currency: fx.currency,
+        listingCurrency: fx.listingCurrency,
+        exchangeRate: fx.rate,
+        unitPrice: type === "place" ? undefined : convertAmount(item.price, fx.rate),
+        price: quoted.price,
+        extraGuestFee: quoted.extraGuestFee,
+        cleaningFee: quoted.cleaningFee,
+        stayDiscount: quoted.stayDiscount,
+        discount,
+        couponError: couponError || quoted.couponError,
+        couponEligibility: quoted.couponError ? "ineligible" : couponEligibility,
+        serviceFee: quoted.serviceFee,
+        taxes: {
+          included: true,
+          placeOfSupply: taxes.placeOfSupply,
+          taxableValue: taxes.taxableValue,
+          cgst: taxes.cgst,
+          sgst: taxes.sgst,
+          igst: taxes.igst,
+          total: taxes.totalTax,
+        },
+        lines: taxes.lineItems,
+        totalAmount: quoted.totalAmount,
+      },
+    });
+  } catch (error) {
+    console.error("Quote Error:", error);
+    res.status(500).json({ success: false, error: "Failed to calculate quote" });
+  }
+};
+
+// ------------------- INITIATE PAYMENT -------------------
+// Creates a gateway order for a pending booking. The client opens checkout with
+// the returned order and then calls /payments/verify with the gateway response.
+export const initiatePayment = async (req, res) => {
+  try {
+    const { bookingId } = req.body;
+    if (!bookingId) return res.status(400).json({ success: false, error: "Missing bookingId" });
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({ success: false, error: "Invalid booking ID format" });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) return res.status(404).json({ success: false, error: "Booking not found" });
+    if (booking.user?.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, error: "Unauthorized action" });
+    }
+    if (booking.status !== BOOKING_STATUS.PENDING) {
+      return res.status(400).json({ success: false, error: "Booking already paid or canceled" });
+    }
+    if (booking.trip) {
+      return res.status(400).json({ success: false, error: "This booking is part of a trip; pay for the trip instead" });
+    }
+    if (booking.split?.status === "collecting") {
+      return res.status(400).json({ success: false, error: "This booking is split; each share is paid separately" });
+    }
+    if (booking.hostApproval?.status === "awaiting") {
+      return res.status(400).json({ success: false, error: "Waiting for the host to accept this request" });
+    }
+    if (isHoldLapsed(booking)) {
+      return res.status(410).json({ success: false, error: "Your hold on these dates has expired, please book again" });
+    }
+
+    const gateway = getPaymentGateway();
+    const order = await gateway.createOrder({
+      amount: toSmallestUnit(booking.totalAmount, booking.currency),
+      currency: booking.currency || "INR",
+      receipt: booking._id.toString(),
+      notes: { bookingId: booking._id.toString(), type: booking.type },
+    });
+
+    booking.paymentGateway = gateway.name;
+    booking.paymentOrderId = order.id;
+    await booking.save();
+
+    res.json({
+      success: true,
+      gateway: gateway.name,
+      keyId: gateway.keyId,
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      bookingId: booking._id,
+    });
+  } catch (error) {
+    console.error("Payment initiation error:", error);
+    res.status(500).json({ success: false, error: "Payment initiation failed" });
+  }
+};
+
+// ------------------- VERIFY PAYMENT -------------------
+export const verifyPayment = async (req, res) => {
+  try {
+    const { bookingId, orderId, paymentId, signature } = req.body;
+    if (!bookingId || !orderId || !paymentId || !signature) {
+      return res.status(400).json({ success: false, error: "Missing payment verification fields" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({ success: false, error: "Invalid booking ID format" });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) return res.status(404).json({ success: false, error: "Booking not found" });
+    if (booking.user.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, error: "Unauthorized action" });
+    }
+
+    // A bad signature proves nothing about the real payment (the webhook
+    // still reports declines), so it never changes the booking
+    const modification = booking.modifications.find((m) => m.paymentOrderId === orderId);
+    if (modification) {
+      if (modification.paymentStatus === "paid") {
+        return res.json({ success: true, status: booking.status, booking });
       }
+      const valid = getPaymentGateway().verifyPaymentSignature({ orderId, paymentId, signature });
+      if (!valid) return res.status(402).json({ success: false, error: "Payment verification failed" });
+
+      const current = (await settleModificationPayment(booking, modification, true, paymentId))
+        || (await Booking.findById(booking._id));
+      if (current.modifications.id(modification._id).paymentStatus !== "paid") {
+        return res.status(409).json({
+          success: false,
+          error: "The change lapsed before the payment completed; the payment has been refunded",
+          status: current.status,
+        });
+      }
+      return res.json({ success: true, status: current.status, booking: current });
+    }
 
-      if (checkOutDate <= checkInDate) {
-        return res.status(400).json({ success: false, error: "Check-out date must be after check-in date" });
+    if (booking.paymentOrderId !== orderId) {
+      return res.status(400).json({ success: false, error: "Order does not belong to this booking" });
+    }
+
+    // Webhook may have confirmed it already
+    if (booking.status === BOOKING_STATUS.CONFIRMED) {
+      return res.json({ success: true, transactionId: booking.transactionId, status: booking.status });
+    }
+    if (![BOOKING_STATUS.PENDING, BOOKING_STATUS.EXPIRED].includes(booking.status)) {
+      return res.status(400).json({ success: false, error: "Booking already paid or canceled" });
+    }
+
+    const valid = getPaymentGateway().verifyPaymentSignature({ orderId, paymentId, signature });
+    if (!valid) return res.status(402).json({ success: false, error: "Payment verification failed" });
+
+    const confirmed = await confirmPaidBooking(booking, paymentId);
+    if (!confirmed) {
+      return res.status(409).json({
+        success: false,
+        error: "Your hold expired and the dates were taken; the payment has been refunded",
+        status: booking.status,
+      });
+    }
+
+    res.json({ success: true, transactionId: booking.transactionId, status: booking.status });
+  } catch (error) {
+    console.error("Payment verification error:", error);
+    res.status(500).json({ success: false, error: "Payment verification failed" });
+  }
+};
+
+// ------------------- PAYMENT WEBHOOK -------------------
+// Gateway -> server notification. Needs the raw request body for the signature
+// check, which server.js keeps on req.rawBody.
+export const paymentWebhook = async (req, res) => {
+  try {
+    const signature = req.get("x-razorpay-signature");
+    const rawBody = req.rawBody ? req.rawBody.toString("utf8") : "";
+
+    if (!signature || !getPaymentGateway().verifyWebhookSignature(rawBody, signature)) {
+      return res.status(400).json({ success: false, error: "Invalid webhook signature" });
+    }
+
+    const { event, payload } = req.body;
+    const payment = payload?.payment?.entity;
+    const orderId = payment?.order_id || payload?.order?.entity?.id;
+
+    if (!orderId) return res.json({ success: true, ignored: true });
+
+    // Trip checkout: one order for several bookings
+    const trip = await Trip.findOne({ paymentOrderId: orderId });
+    if (trip) {
+      if (!["pending", "expired"].includes(trip.status)) {
+        return res.json({ success: true, status: trip.status });
+      }
+      switch (event) {
+        case "payment.captured":
+        case "order.paid":
+          await confirmPaidTrip(trip, payment?.id);
+          break;
+        case "payment.failed":
+          if (trip.status === "pending") await failUnpaidTrip(trip);
+          break;
+        default:
+          return res.json({ success: true, ignored: true });
       }
+      return res.json({ success: true, status: trip.status });
     }
 
-    // ---------------------------------------------------
+    const booking = await Booking.findOne({
+      $or: [
+        { paymentOrderId: orderId },
+        { "modifications.paymentOrderId": orderId },
+        { "split.shares.paymentOrderId": orderId },
+        { "split.shares.previousOrderIds": orderId },
+      ],
+    });
+    if (!booking) return res.json({ success: true, ignored: true });
+
+    // One share of a split payment; declined shares can be retried, so only
+    // captures matter. Late or duplicate captures are refunded.
+    const share = shareForOrder(booking, orderId);
+    if (share) {
+      if (event === "payment.captured" || event === "order.paid") {
+        const { booking: current } = await recordSharePayment(booking, share, payment?.id);
+        return res.json({ success: true, status: current.status });
+      }
+      return res.json({ success: true, status: booking.status });
+    }
 
-    let itemDetails;
-    let price = 0;
+    // Captures for a change that already lapsed are refunded by the settle
+    const modification = booking.modifications.find((m) => m.paymentOrderId === orderId);
+    if (modification) {
+      if (event === "payment.captured" || event === "order.paid") {
+        await settleModificationPayment(booking, modification, true, payment?.id);
+      } else if (event === "payment.failed") {
+        await settleModificationPayment(booking, modification, false);
+      } else {
+        return res.json({ success: true, ignored: true });
+      }
+      return res.json({ success: true, status: booking.status });
+    }
 
-    switch (type) {
+    // Only unpaid bookings can move; replays and late events are no-ops
+    if (![BOOKING_STATUS.PENDING, BOOKING_STATUS.EXPIRED].includes(booking.status)) {
+      return res.json({ success: true, status: booking.status });
+    }
+
+    switch (event) {
+      case "payment.captured":
+      case "order.paid":
+        await confirmPaidBooking(booking, payment?.id);
+        break;
+      case "payment.failed":
+        if (booking.status === BOOKING_STATUS.PENDING) await failUnpaidBooking(booking);
+        break;
+      default:
+        return res.json({ success: true, ignored: true });
+    }
+
+    res.json({ success: true, status: booking.status });
+  } catch (error) {
+    console.error("Payment webhook error:", error);
+    res.status(500).json({ success: false, error: "Webhook processing failed" });
+  }
+};
+
+// ------------------- MODIFY BOOKING -------------------
+// Change dates (places), slot/date (experiences, services) and/or guests.
+// Availability and price are re-run with the same helpers as createBooking;
+// the difference is charged through a new gateway order (the change applies
+// once that is paid) or refunded.
+export const modifyBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid booking ID format" });
+    }
+
+    const booking = await Booking.findById(id);
+    if (!booking) return res.status(404).json({ success: false, error: "Booking not found" });
+
+    if (booking.user && booking.user.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, error: "Unauthorized action" });
+    }
+
+    if (![BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED].includes(booking.status)) {
+      return res.status(400).json({ success: false, error: `A ${booking.status} booking cannot be modified` });
+    }
+    if (booking.hostApproval?.status === "awaiting") {
+      return res.status(400).json({ success: false, error: "Wait for the host to answer before modifying" });
+    }
+    if (booking.modifications.some((m) => m.paymentStatus === "pending")) {
+      return res.status(400).json({ success: false, error: "Pay the outstanding balance of the previous change first" });
+    }
+    if (booking.split?.status === "collecting") {
+      return res.status(400).json({ success: false, error: "Bookings cannot be modified while a split payment is being collected" });
+    }
+
+    const startsAt = bookingStartsAt(booking);
+    if (startsAt && startsAt <= new Date()) {
+      return res.status(400).json({ success: false, error: "Bookings cannot be modified after they start" });
+    }
+
+    const hasGuestChange = req.body.guests || req.body.numberOfGuests;
+    const guests = hasGuestChange ? normalizeGuests(req.body) : booking.guests?.adults
+      ? booking.guests.toObject()
+      : normalizeGuests({ numberOfGuests: booking.numberOfGuests });
+
+    const previous = {
+      checkIn: booking.checkIn,
+      checkOut: booking.checkOut,
+      date: booking.date,
+      slot: booking.slot,
+      numberOfGuests: booking.numberOfGuests,
+      totalAmount: booking.totalAmount,
+    };
+    const settled = { subtotal: bookingSubtotal(booking), serviceFee: booking.serviceFee || 0 };
+
+    let item;
+    let slot;
+    const next = { ...previous };
+
+    switch (booking.type) {
       case "place": {
-        itemDetails = await Place.findById(itemId);
-        if (!itemDetails) return res.status(404).json({ success: false, error: "Place not found" });
-
-        const overlappingBooking = await Booking.findOne({
-          place: itemId,
-          status: "confirmed",
-          $or: [
-            { checkIn: { $lt: checkOut, $gte: checkIn } },
-            { checkOut: { $lte: checkOut, $gt: checkIn } },
-            { checkIn: { $lte: checkIn }, checkOut: { $gte: checkOut } },
-          ],
-        });
+        item = await Place.findById(booking.place);
+        if (!item) return res.status(404).json({ success: false, error: "Place not found" });
 
-        if (overlappingBooking) {
-          return res.status(400).json({ success: false, error: "Place already booked for selected dates" });
+        next.checkIn = req.body.checkIn || booking.checkIn;
+        next.checkOut = req.body.checkOut || booking.checkOut;
+
+        const checkInKey = toDateKey(next.checkIn);
+        const checkOutKey = toDateKey(next.checkOut);
+        if (!checkInKey || !checkOutKey) {
+          return res.status(400).json({ success: false, error: "Invalid check-in/check-out date format" });
+        }
+        if (checkOutKey <= checkInKey) {
+          return res.status(400).json({ success: false, error: "Check-out date must be after check-in date" });
         }
 
-        const oneDay = 1000 * 60 * 60 * 24;
-        const nights = Math.ceil((new Date(checkOut) - new Date(checkIn)) / oneDay);
-        price = itemDetails.price * nights;
+        const overlapping = await findOverlappingBooking(item._id, next.checkIn, next.checkOut, { excludeId: booking._id });
+        if (overlapping) {
+          return res.status(400).json({ success: false, error: "Place already booked for selected dates" });
+        }
+        if (findBlockedRange(item, next.checkIn, next.checkOut)) {
+          return res.status(400).json({ success: false, error: "Place is unavailable for selected dates" });
+        }
         break;
       }
 
-      // experience & service remain unchanged...
       case "experience": {
-        if (!date) return res.status(400).json({ success: false, error: "Date required" });
-        const item = await Experience.findById(itemId);
+        item = await Experience.findById(booking.item);
         if (!item) return res.status(404).json({ success: false, error: "Experience not found" });
-        price = item.price * numberOfGuests;
+
+        const { slotId, date, startTime } = req.body;
+        if (slotId || date) {
+          slot = await findExperienceSlot(item._id, { slotId, date, startTime });
+          if (!slot) return res.status(404).json({ success: false, error: "No scheduled slot for the selected date/time" });
+        } else {
+          slot = await ExperienceSlot.findById(booking.slot);
+        }
+        if (slot) {
+          next.slot = slot._id;
+          next.date = slot.date;
+        }
         break;
       }
 
       case "service": {
-        if (!date) return res.status(400).json({ success: false, error: "Date required" });
-        const item = await Service.findById(itemId);
+        item = await Service.findById(booking.item);
         if (!item) return res.status(404).json({ success: false, error: "Service not found" });
-        price = item.price * numberOfGuests;
+        next.date = req.body.date || booking.date;
         break;
       }
 
@@ -122,67 +572,177 @@ export const createBooking = async (req, res) => {
         return res.status(400).json({ success: false, error: "Invalid booking type" });
     }
 
-    const serviceFee = Math.max(50, +(price * 0.05).toFixed(2));
-    const totalAmount = price + serviceFee;
-
-    const bookingData = {
-      type,
-      numberOfGuests,
-      name,
-      phone,
-      price,
-      serviceFee,
-      totalAmount,
-      address: itemDetails.address || "",
-      paymentMethod,
-      status: "confirmed",
-      user: req.user ? req.user.id : null,
-      transactionId: transactionId || `TXN-${Date.now()}-${Math.floor(Math.random() * 100000)}`,
+    const guestError = validateGuests(guests, item);
+    if (guestError) return res.status(400).json({ success: false, error: guestError });
+    next.numberOfGuests = countGuests(guests, item);
+
+    // A coupon already redeemed on the booking keeps applying (min spend permitting)
+    const coupon = booking.discount?.coupon ? await Coupon.findById(booking.discount.coupon) : null;
+
+    const pricing = priceBooking({
+      type: booking.type,
+      item,
+      checkIn: next.checkIn,
+      checkOut: next.checkOut,
+      numberOfGuests: next.numberOfGuests,
+      coupon,
+      // Same rates as the original charge so the difference is only the change
+      fx: { rate: booking.exchangeRate || 1, baseRate: booking.baseExchangeRate || 1 },
+    });
+    next.totalAmount = pricing.totalAmount;
+
+    const priceDelta = +(next.totalAmount - previous.totalAmount).toFixed(2);
+    const modification = {
+      by: req.user.id,
+      previous,
+      next,
+      change: {
+        guests,
+        startTime: slot?.startTime,
+        pricing: {
+          price: pricing.price,
+          extraGuestFee: pricing.extraGuestFee,
+          cleaningFee: pricing.cleaningFee,
+          stayDiscount: pricing.stayDiscount,
+          discount: pricing.discount,
+          serviceFee: pricing.serviceFee,
+          totalAmount: pricing.totalAmount,
+          nightlyRates: pricing.nightlyRates,
+        },
+      },
+      priceDelta,
+      subtotalDelta: +(bookingSubtotal(pricing) - settled.subtotal).toFixed(2),
+      serviceFeeDelta: +(pricing.serviceFee - settled.serviceFee).toFixed(2),
+      settlement: "none",
     };
+    const paid = booking.status === BOOKING_STATUS.CONFIRMED;
+    const sameSlot = slot && booking.slot && booking.slot.toString() === slot._id.toString();
+
+    // ---- extra charge ----
+    // A paid booking only takes a dearer change once the difference is paid:
+    // until then the new dates/seats are held and the booking stays as it is
+    // (see settleModificationPayment)
+    if (paid && priceDelta > 0) {
+      // Ordered before anything is held, so a gateway error leaves nothing behind
+      const gateway = getPaymentGateway();
+      const order = await gateway.createOrder({
+        amount: toSmallestUnit(priceDelta, booking.currency),
+        currency: booking.currency || "INR",
+        receipt: `${booking._id}-mod-${booking.modifications.length + 1}`,
+        notes: { bookingId: booking._id.toString(), kind: "modification" },
+      });
+      modification.settlement = "charge";
+      modification.paymentOrderId = order.id;
+      modification.paymentStatus = "pending";
+      modification.holdExpiresAt = holdExpiry();
+
+      if (booking.type === "place") {
+        const held = await addNights(item._id, booking._id, next.checkIn, next.checkOut, {
+          expiresAt: modification.holdExpiresAt,
+        });
+        if (!held) {
+          return res.status(409).json({ success: false, error: "Place already booked for selected dates" });
+        }
+      }
 
-    if (type === "place") {
-      bookingData.place = itemId;
-      bookingData.checkIn = checkIn;
-      bookingData.checkOut = checkOut;
-    } else {
-      bookingData.item = itemId;
-      bookingData.date = date;
-      bookingData.itemModel = type === "experience" ? "Experience" : "Service";
+      const seats = slot ? (sameSlot ? next.numberOfGuests - booking.seatsHeld : next.numberOfGuests) : 0;
+      if (seats > 0) {
+        if (!(await reserveSeats(slot._id, seats))) {
+          return res.status(409).json({ success: false, error: "Not enough seats left in this slot" });
+        }
+        modification.change.seats = seats;
+      }
+
+      // Only one change may wait for payment at a time
+      const staged = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: BOOKING_STATUS.CONFIRMED, "modifications.paymentStatus": { $ne: "pending" } },
+        { $push: { modifications: modification } },
+        { new: true }
+      );
+      if (!staged) {
+        if (booking.type === "place") await dropHeldNights(booking._id);
+        if (seats > 0) await releaseSeats(slot._id, seats);
+        return res.status(409).json({ success: false, error: "The booking changed meanwhile; please try again" });
+      }
+
+      return res.json({
+        success: true,
+        message: "Pay the difference to confirm the change",
+        priceDelta,
+        payment: { gateway: gateway.name, orderId: order.id, amount: order.amount, currency: order.currency },
+        holdExpiresAt: modification.holdExpiresAt,
+        refund: null,
+        booking: staged,
+      });
     }
 
-    const booking = await Booking.create(bookingData);
-    res.status(201).json({ success: true, bookingId: booking._id, booking });
-  } catch (error) {
-    console.error("Booking Error:", error);
-    res.status(500).json({ success: false, error: error.message || "Booking failed" });
-  }
-};
+    // ---- move inventory ----
+    if (booking.type === "place") {
+      const moved = await moveNights(item._id, booking._id, next.checkIn, next.checkOut, {
+        expiresAt: booking.holdExpiresAt,
+      });
+      if (!moved) {
+        return res.status(409).json({ success: false, error: "Place already booked for selected dates" });
+      }
+    }
 
+    if (slot) {
+      const extraSeats = sameSlot ? next.numberOfGuests - booking.seatsHeld : next.numberOfGuests;
 
-// ------------------- INITIATE PAYMENT -------------------
-export const initiatePayment = async (req, res) => {
-  try {
-    const { bookingId } = req.body;
-    if (!bookingId) return res.status(400).json({ success: false, error: "Missing bookingId" });
+      if (extraSeats > 0 && !(await reserveSeats(slot._id, extraSeats))) {
+        return res.status(409).json({ success: false, error: "Not enough seats left in this slot" });
+      }
+      if (sameSlot && extraSeats < 0) await releaseSeats(slot._id, -extraSeats);
+      if (!sameSlot && booking.slot && booking.seatsHeld > 0) await releaseSeats(booking.slot, booking.seatsHeld);
 
-    const booking = await Booking.findById(bookingId);
-    if (!booking) return res.status(404).json({ success: false, error: "Booking not found" });
-    if (booking.status !== BOOKING_STATUS.PENDING) {
-      return res.status(400).json({ success: false, error: "Booking already paid or canceled" });
+      booking.seatsHeld = next.numberOfGuests;
     }
 
-    // Simulate payment success (80% success rate for demo)
-    const paymentSuccess = Math.random() > 0.2;
-    if (!paymentSuccess) return res.status(402).json({ success: false, error: "Payment failed" });
+    // ---- apply ----
+    applyModification(booking, modification);
 
-    booking.transactionId = `TXN-${Date.now()}-${Math.floor(Math.random() * 100000)}`;
-    booking.status = BOOKING_STATUS.CONFIRMED;
+    // Nothing collected yet: the next initiatePayment creates a fresh order
+    if (!paid) booking.paymentOrderId = undefined;
+    if (paid && priceDelta < 0) modification.settlement = "refund";
+
+    booking.modifications.push(modification);
     await booking.save();
+    if (paid) {
+      await recordModification(booking, booking.modifications.at(-1));
+      await amendInvoiceForModification(booking, booking.modifications.at(-1));
+    }
 
-    res.json({ success: true, transactionId: booking.transactionId, status: booking.status });
+    // ---- refund ----
+    // Only once the change is saved; a gateway failure leaves the refund
+    // approved for an admin to retry
+    let refund;
+    if (paid && priceDelta < 0) {
+      refund = await openRefund({
+        booking,
+        amount: -priceDelta,
+        reason: "Booking modification",
+        hostId: item.owner,
+        by: req.user.id,
+        kind: "modification",
+      });
+      approveRefund(refund, undefined, "Automatic refund for booking modification");
+      await refund.save();
+      booking.modifications.at(-1).refund = refund._id;
+      await processRefund(refund, booking, undefined, { partial: true });
+      await booking.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Booking updated",
+      priceDelta,
+      payment: null,
+      refund: refund || null,
+      booking,
+    });
   } catch (error) {
-    console.error("Payment initiation error:", error);
-    res.status(500).json({ success: false, error: "Payment initiation failed" });
+    console.error("Modify Booking Error:", error);
+    res.status(500).json({ success: false, error: "Failed to modify booking" });
   }
 };
 
@@ -242,20 +802,72 @@ export const cancelBooking = async (req, res) => {
       return res.status(403).json({ success: false, error: "Unauthorized action" });
     }
 
-    if (booking.status === BOOKING_STATUS.CANCELED) {
-      return res.status(400).json({ success: false, error: "Booking already canceled" });
+    if (![BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED].includes(booking.status)) {
+      return res.status(400).json({ success: false, error: `A ${booking.status} booking cannot be canceled` });
     }
 
-    booking.status = BOOKING_STATUS.CANCELED;
-    await booking.save();
+    const refund = calculateRefund(booking);
+
+    // Claimed from the status the refund was worked out for, so a second
+    // cancel (or a payment landing meanwhile) can't settle it again
+    const canceled = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: booking.status },
+      {
+        $set: {
+          status: BOOKING_STATUS.CANCELED,
+          canceledAt: new Date(),
+          refundableAmount: refund.refundableAmount,
+        },
+      },
+      { new: true }
+    );
+    if (!canceled) {
+      return res.status(409).json({ success: false, error: "Booking changed meanwhile; please try again" });
+    }
 
-    res.json({ success: true, message: "Booking canceled successfully", booking });
+    await abandonPendingModification(canceled);
+    await releaseBookingInventory(canceled);
+    emitEvent(EVENTS.BOOKING_CANCELED, { bookingId: canceled._id });
+
+    res.json({ success: true, message: "Booking canceled successfully", refund, booking: canceled });
   } catch (error) {
     console.error("Cancel Booking Error:", error);
     res.status(500).json({ success: false, error: "Failed to cancel booking" });
   }
 };
 
+// ------------------- CANCELLATION PREVIEW -------------------
+// What the guest would get back if they canceled right now
+export const previewCancellation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid booking ID format" });
+    }
+
+    const booking = await Booking.findById(id);
+    if (!booking) return res.status(404).json({ success: false, error: "Booking not found" });
+
+    if (booking.user && booking.user.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, error: "Unauthorized action" });
+    }
+
+    if (booking.status === BOOKING_STATUS.CANCELED) {
+      return res.status(400).json({ success: false, error: "Booking already canceled" });
+    }
+
+    const refund = calculateRefund(booking);
+    res.json({
+      success: true,
+      refund: { ...refund, policyDetails: CANCELLATION_POLICIES[refund.policy] },
+    });
+  } catch (error) {
+    console.error("Cancellation Preview Error:", error);
+    res.status(500).json({ success: false, error: "Failed to preview cancellation" });
+  }
+};
+
 // ------------------- REQUEST REFUND -------------------
 export const requestRefund = async (req, res) => {
   try {
@@ -281,11 +893,31 @@ export const requestRefund = async (req, res) => {
       return res.status(400).json({ success: false, error: "Refund already requested" });
     }
 
+    const amount = booking.refundableAmount || 0;
+    if (amount <= 0) {
+      return res.status(400).json({ success: false, error: "Nothing to refund under the cancellation policy" });
+    }
+
+    let hostId;
+    if (booking.place) {
+      const place = await Place.findById(booking.place).select("owner");
+      hostId = place?.owner;
+    }
+
+    const refund = await openRefund({
+      booking,
+      amount,
+      reason: req.body?.reason,
+      hostId,
+      by: req.user?.id,
+    });
+
     booking.refundRequested = true;
     booking.refundRequestedAt = new Date();
+    booking.refund = refund._id;
     await booking.save();
 
-    res.json({ success: true, message: "Refund request submitted", booking });
+    res.json({ success: true, message: "Refund request submitted", refund, booking });
   } catch (error) {
     console.error("Refund Request Error:", error);
     res.status(500).json({ success: false, error: "Refund request failed" });
@@ -293,12 +925,13 @@ export const requestRefund = async (req, res) => {
 };
 
 // ------------------- SEND RECEIPT EMAIL -------------------
-// controllers/emailController.js
-
-
+// Queues the receipt (with the tax invoice for paid bookings) through the
+// mail outbox; see utils/notifications.js. Only the booker can ask for it;
+// `email` defaults to their account address.
 export const sendReceiptEmail = async (req, res) => {
   try {
-    const { email, bookingId } = req.body;
+    const { bookingId } = req.body;
+    const email = req.body.email || req.user.email;
 
     if (!email || !bookingId) {
       return res
@@ -312,9 +945,7 @@ export const sendReceiptEmail = async (req, res) => {
         .json({ success: false, error: "Invalid booking ID format" });
     }
 
-    const booking = await Booking.findById(bookingId)
-      .populate("place")
-      .populate("item");
+    const booking = await Booking.findById(bookingId).select("_id user");
 
     if (!booking) {
       return res
@@ -322,69 +953,92 @@ export const sendReceiptEmail = async (req, res) => {
         .json({ success: false, error: "Booking not found" });
     }
 
-    const subject = "Your Booking Receipt - Domio";
-    const message = `
-      Thank you for your booking with Domio!
-      
-      Booking Details:
-      ----------------
-      Booking ID: ${booking._id}
-      Transaction ID: ${booking.transactionId || "N/A"}
-      Total Paid: ₹${booking.totalAmount}
-      Item: ${
-        booking.type === "place"
-          ? booking.place?.title
-          : booking.item?.title || "N/A"
-      }
-      Guest Name: ${booking.name}
-      Phone: ${booking.phone}
-      Number of Guests: ${booking.numberOfGuests}
-      
-      Thank you for choosing Domio!
-    `;
-
-    // If SMTP is not configured, simulate success
-    if (
-      !process.env.SMTP_HOST ||
-      !process.env.SMTP_USER ||
-      !process.env.SMTP_PASS
-    ) {
-      console.warn("SMTP configuration not found, simulating email send");
-      return res.json({
-        success: true,
-        message: "Receipt sent successfully (simulated)",
-      });
+    if (booking.user?.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, error: "Unauthorized action" });
     }
 
-    // Configure Nodemailer correctly
-    const transporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: process.env.SMTP_PORT || 587,
-      secure: process.env.SMTP_PORT == 465, // true for port 465
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS,
-      },
-    });
-
-    // Verify connection
-    await transporter.verify();
-
-    // Send email
-    await transporter.sendMail({
-      from: '"Domio" <no-reply@domio.com>',
-      to: email,
-      subject,
-      text: message,
-    });
+    emitEvent(EVENTS.RECEIPT_REQUESTED, { bookingId: booking._id, email });
 
-    res.json({ success: true, message: "Receipt sent successfully" });
+    res.json({ success: true, message: "Receipt queued for delivery" });
   } catch (error) {
     console.error("Send email error:", error);
     res.status(500).json({ success: false, error: "Failed to send receipt" });
   }
 };
 
+// ------------------- INVOICE -------------------
+// GET /bookings/:id/invoice?format=pdf|html[&note=<noteId>]
+// `note` picks one of the credit / debit notes issued against the invoice
+export const getBookingInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid booking ID format" });
+    }
+
+    const booking = await Booking.findById(id).populate("place").populate("item").populate("user", "email");
+    if (!booking) return res.status(404).json({ success: false, error: "Booking not found" });
+
+    if (booking.user?._id.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, error: "Unauthorized action" });
+    }
+
+    // Paid bookings keep their invoice even after cancellation
+    const paid = booking.status === BOOKING_STATUS.CONFIRMED || Boolean(booking.paidAt);
+    if (!paid) {
+      return res.status(400).json({ success: false, error: "Invoices are only issued for paid bookings" });
+    }
+
+    let invoice = await issueInvoice(booking, { email: booking.user.email });
+
+    if (req.query.note) {
+      const notes = await bookingInvoiceNotes(booking._id);
+      invoice = notes.find((n) => n._id.toString() === req.query.note);
+      if (!invoice) return res.status(404).json({ success: false, error: "Invoice note not found" });
+    }
+
+    if (req.query.format === "html") {
+      res.set("Content-Type", "text/html; charset=utf-8");
+      res.set("Content-Disposition", `inline; filename="${invoiceFilename(invoice, "html")}"`);
+      return res.send(renderInvoiceHtml(invoice));
+    }
+
+    const pdf = await renderInvoicePdf(invoice);
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `attachment; filename="${invoiceFilename(invoice, "pdf")}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error("Invoice error:", error);
+    res.status(500).json({ success: false, error: "Failed to generate invoice" });
+  }
+};
+
+// ------------------- INVOICE NOTES -------------------
+// Credit / debit notes issued after refunds and modifications
+export const getBookingInvoiceNotes = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid booking ID format" });
+    }
+
+    const booking = await Booking.findById(id).select("user");
+    if (!booking) return res.status(404).json({ success: false, error: "Booking not found" });
+
+    if (booking.user?.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, error: "Unauthorized action" });
+    }
+
+    const notes = await bookingInvoiceNotes(booking._id);
+    res.json({ success: true, notes });
+  } catch (error) {
+    console.error("Invoice notes error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch invoice notes" });
+  }
+};
+
 // ------------------- VERIFY BOOKING -------------------
 export const verifyBooking = async (req, res) => {
   try {
@@ -408,13 +1062,20 @@ export const verifyBooking = async (req, res) => {
       _id: bookingDoc._id,
       type: bookingDoc.type,
       status: bookingDoc.status,
+      holdExpiresAt: bookingDoc.holdExpiresAt || null,
       transactionId: bookingDoc.transactionId,
       name: bookingDoc.name,
       phone: bookingDoc.phone,
       numberOfGuests: bookingDoc.numberOfGuests,
+      guests: bookingDoc.guests || null,
       price: bookingDoc.price || 0,
+      extraGuestFee: bookingDoc.extraGuestFee || 0,
+      cleaningFee: bookingDoc.cleaningFee || 0,
+      stayDiscount: bookingDoc.stayDiscount?.amount ? bookingDoc.stayDiscount : null,
+      discount: bookingDoc.discount?.amount ? bookingDoc.discount : null,
       serviceFee: bookingDoc.serviceFee || 0,
       totalAmount: bookingDoc.totalAmount || 0,
+      currency: bookingDoc.currency || "INR",
       paymentMethod: bookingDoc.paymentMethod || "N/A",
       checkIn: bookingDoc.checkIn || null,
       checkOut: bookingDoc.checkOut || null,
@@ -466,6 +1127,16 @@ export const getItemDetails = async (req, res) => {
       return res.status(404).json({ success: false, error: `${type.charAt(0).toUpperCase() + type.slice(1)} not found` });
     }
 
+    // Optional ?currency= adds converted prices
+    const { currency } = req.query;
+    if (currency) {
+      const rates = await loadRates();
+      if (!isSupportedCurrency(rates, currency)) {
+        return res.status(400).json({ success: false, error: "Unsupported currency" });
+      }
+      return res.json({ success: true, item: withConvertedPrices(item, rates, currency) });
+    }
+
     res.json({ success: true, item });
   } catch (error) {
     console.error("Get item details error:", error);
@@ -0,0 +1,165 @@
+import mongoose from "mongoose";
+import * as z from "zod";
+import Coupon from "../models/Coupon.js";
+import { findApplicableCoupon } from "../utils/coupons.js";
+import { findListing, LISTING_TYPES } from "../utils/listings.js";
+import { priceBooking } from "../utils/pricing.js";
+import { normalizeGuests, countGuests } from "../utils/guests.js";
+import { resolveFx } from "../utils/currency.js";
+
+const objectId = z.string().refine((v) => mongoose.Types.ObjectId.isValid(v), "Invalid ID");
+
+const couponSchema = z
+  .object({
+    code: z.string().trim().min(3).max(32).regex(/^[A-Za-z0-9_-]+$/, "Code may only contain letters, digits, _ and -"),
+    description: z.string().max(200).optional(),
+    discountType: z.enum(["percent", "flat"]),
+    value: z.number().positive(),
+    maxDiscount: z.number().positive().optional(),
+    minSpend: z.number().min(0).optional(),
+    validFrom: z.coerce.date().optional(),
+    validUntil: z.coerce.date().optional(),
+    usageLimit: z.number().int().min(1).optional(),
+    perUserLimit: z.number().int().min(1).optional(),
+    bookingTypes: z.array(z.enum(LISTING_TYPES)).optional(),
+    listings: z.array(objectId).optional(),
+    active: z.boolean().optional(),
+  })
+  .refine((c) => c.discountType !== "percent" || c.value <= 100, {
+    message: "Percentage cannot exceed 100",
+    path: ["value"],
+  })
+  .refine((c) => !c.validFrom || !c.validUntil || c.validUntil > c.validFrom, {
+    message: "validUntil must be after validFrom",
+    path: ["validUntil"],
+  });
+
+// ------------------- CREATE COUPON (admin) -------------------
+export const createCoupon = async (req, res) => {
+  try {
+    const parsed = couponSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, error: "Validation failed", issues: parsed.error.issues });
+    }
+
+    const coupon = await Coupon.create({ ...parsed.data, createdBy: req.user.id });
+    res.status(201).json({ success: true, coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: "A coupon with this code already exists" });
+    }
+    console.error("Create Coupon Error:", error);
+    res.status(500).json({ success: false, error: "Failed to create coupon" });
+  }
+};
+
+// ------------------- LIST COUPONS (admin) -------------------
+export const listCoupons = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active === "true") query.active = true;
+    if (req.query.active === "false") query.active = false;
+
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 });
+    res.json({ success: true, coupons });
+  } catch (error) {
+    console.error("List Coupons Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch coupons" });
+  }
+};
+
+// ------------------- UPDATE COUPON (admin) -------------------
+export const updateCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid coupon ID format" });
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) return res.status(404).json({ success: false, error: "Coupon not found" });
+
+    // Validate the coupon as it would look after the update
+    const parsed = couponSchema.safeParse({
+      ...coupon.toObject({ depopulate: true }),
+      listings: coupon.listings.map(String),
+      ...req.body,
+      code: coupon.code,
+    });
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, error: "Validation failed", issues: parsed.error.issues });
+    }
+
+    const { code, ...changes } = parsed.data;
+    Object.assign(coupon, changes);
+    await coupon.save();
+
+    res.json({ success: true, coupon });
+  } catch (error) {
+    console.error("Update Coupon Error:", error);
+    res.status(500).json({ success: false, error: "Failed to update coupon" });
+  }
+};
+
+// ------------------- DEACTIVATE COUPON (admin) -------------------
+// Coupons are never deleted so redemptions keep pointing at them
+export const deactivateCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid coupon ID format" });
+    }
+
+    const coupon = await Coupon.findByIdAndUpdate(id, { active: false }, { new: true });
+    if (!coupon) return res.status(404).json({ success: false, error: "Coupon not found" });
+
+    res.json({ success: true, message: "Coupon deactivated", coupon });
+  } catch (error) {
+    console.error("Deactivate Coupon Error:", error);
+    res.status(500).json({ success: false, error: "Failed to deactivate coupon" });
+  }
+};
+
+// ------------------- VALIDATE COUPON -------------------
+// POST /coupons/validate { code, type, itemId, checkIn, checkOut, guests | numberOfGuests, currency? }
+// Prices the booking the same way createBooking would and returns the discount.
+export const validateCoupon = async (req, res) => {
+  try {
+    const { code, type, itemId, checkIn, checkOut } = req.body;
+    if (!code || !type || !itemId) {
+      return res.status(400).json({ success: false, error: "Missing code, type or itemId" });
+    }
+    if (type === "place" && (!checkIn || !checkOut)) {
+      return res.status(400).json({ success: false, error: "Check-in and check-out dates are required" });
+    }
+
+    const item = await findListing(type, itemId);
+    if (!item) return res.status(404).json({ success: false, error: "Listing not found" });
+
+    const fx = await resolveFx(item.currency, req.body.currency);
+    if (!fx) return res.status(400).json({ success: false, error: "Unsupported currency" });
+
+    const check = await findApplicableCoupon({ code, userId: req.user.id, type, itemId });
+    if (check.error) return res.status(400).json({ success: false, valid: false, error: check.error });
+
+    const numberOfGuests = countGuests(normalizeGuests(req.body), item) || 1;
+    const pricing = priceBooking({ type, item, checkIn, checkOut, numberOfGuests, coupon: check.coupon, fx });
+    if (pricing.couponError) {
+      return res.status(400).json({ success: false, valid: false, error: pricing.couponError });
+    }
+
+    res.json({
+      success: true,
+      valid: true,
+      code: check.coupon.code,
+      currency: fx.currency,
+      discount: pricing.discount,
+      price: pricing.price,
+      serviceFee: pricing.serviceFee,
+      totalAmount: pricing.totalAmount,
+    });
+  } catch (error) {
+    console.error("Validate Coupon Error:", error);
+    res.status(500).json({ success: false, error: "Failed to validate coupon" });
+  }
+};
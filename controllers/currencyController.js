@@ -0,0 +1,65 @@
+import * as z from "zod";
+import ExchangeRate from "../models/ExchangeRate.js";
+import { BASE_CURRENCY, normalizeCurrency } from "../utils/currency.js";
+
+const rateSchema = z.object({
+  rateToBase: z.number().positive("Rate must be positive"),
+});
+
+// ------------------- LIST RATES -------------------
+export const listRates = async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1 });
+    res.json({
+      success: true,
+      base: BASE_CURRENCY,
+      rates: [{ currency: BASE_CURRENCY, rateToBase: 1 }, ...rates],
+    });
+  } catch (error) {
+    console.error("List Rates Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch exchange rates" });
+  }
+};
+
+// ------------------- SET RATE (admin) -------------------
+// PUT /currencies/:code { rateToBase } - value of one unit of :code in INR
+export const setRate = async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.params.code);
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      return res.status(400).json({ success: false, error: "Currency must be a 3-letter ISO code" });
+    }
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({ success: false, error: "The base currency rate is always 1" });
+    }
+
+    const parsed = rateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, error: "Validation failed", issues: parsed.error.issues });
+    }
+
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { rateToBase: parsed.data.rateToBase, updatedBy: req.user.id },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json({ success: true, rate });
+  } catch (error) {
+    console.error("Set Rate Error:", error);
+    res.status(500).json({ success: false, error: "Failed to update exchange rate" });
+  }
+};
+
+// ------------------- REMOVE RATE (admin) -------------------
+export const removeRate = async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.params.code);
+    const removed = await ExchangeRate.findOneAndDelete({ currency });
+    if (!removed) return res.status(404).json({ success: false, error: "Currency not found" });
+
+    res.json({ success: true, message: `${currency} removed` });
+  } catch (error) {
+    console.error("Remove Rate Error:", error);
+    res.status(500).json({ success: false, error: "Failed to remove exchange rate" });
+  }
+};
@@ -1,4 +1,17 @@
+import mongoose from "mongoose";
+import * as z from "zod";
 import Experience from "../models/Experience.js";
+import ExperienceSlot from "../models/ExperienceSlot.js";
+import { toDateKey, addDays } from "../utils/availability.js";
+import { loadRates, isSupportedCurrency, withConvertedPrices } from "../utils/currency.js";
+import { PUBLISHED, isPublished } from "../utils/listings.js";
+import { cancelSlot } from "../utils/slots.js";
+
+const slotSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be YYYY-MM-DD"),
+  startTime: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Start time must be HH:mm"),
+  capacity: z.number().int().min(1).optional(),
+});
 
 export const createExperience = async (req, res) => {
   try {
@@ -11,8 +24,13 @@ export const createExperience = async (req, res) => {
 
 export const getAllExperiences = async (req, res) => {
   try {
-    const { search, sort } = req.query;
-    let query = {};
+    const { search, sort, currency } = req.query;
+    let query = { ...PUBLISHED };
+
+    const rates = currency ? await loadRates() : null;
+    if (currency && !isSupportedCurrency(rates, currency)) {
+      return res.status(400).json({ message: "Unsupported currency" });
+    }
 
     if (search) {
       query.title = { $regex: search, $options: "i" };
@@ -26,7 +44,7 @@ export const getAllExperiences = async (req, res) => {
       experiences = experiences.sort((a, b) => b.rating - a.rating);
     }
 
-    res.json(experiences);
+    res.json(currency ? experiences.map((e) => withConvertedPrices(e, rates, currency)) : experiences);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -35,8 +53,117 @@ export const getAllExperiences = async (req, res) => {
 export const getExperienceById = async (req, res) => {
   try {
     const experience = await Experience.findById(req.params.id);
+    if (!isPublished(experience)) {
+      return res.status(404).json({ message: "Experience not found" });
+    }
+
+    const { currency } = req.query;
+    if (currency && experience) {
+      const rates = await loadRates();
+      if (!isSupportedCurrency(rates, currency)) {
+        return res.status(400).json({ message: "Unsupported currency" });
+      }
+      return res.json(withConvertedPrices(experience, rates, currency));
+    }
+
     res.json(experience);
   } catch (err) {
     res.status(404).json({ message: "Experience not found" });
   }
 };
+
+// GET /api/experiences/:id/slots?from=YYYY-MM-DD&to=YYYY-MM-DD
+export const getExperienceSlots = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid experience ID format" });
+    }
+
+    const from = req.query.from ? toDateKey(req.query.from) : toDateKey(new Date());
+    const to = req.query.to ? toDateKey(req.query.to) : addDays(from, 60);
+    if (!from || !to) return res.status(400).json({ message: "Invalid from/to date format" });
+
+    const slots = await ExperienceSlot.find({
+      experience: id,
+      status: "open",
+      date: { $gte: from, $lt: to },
+    }).sort({ date: 1, startTime: 1 });
+
+    res.json(slots.map((slot) => ({
+      _id: slot._id,
+      date: slot.date,
+      startTime: slot.startTime,
+      capacity: slot.capacity,
+      seatsLeft: slot.seatsLeft,
+      isFull: slot.seatsLeft === 0,
+    })));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// POST /api/experiences/:id/slots  { slots: [{ date, startTime, capacity? }] }
+// Capacity defaults to the experience's maxGuests.
+export const createExperienceSlots = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid experience ID format" });
+    }
+
+    const experience = await Experience.findById(id);
+    if (!experience) return res.status(404).json({ message: "Experience not found" });
+
+    const parsed = z.array(slotSchema).min(1).safeParse(req.body.slots);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Validation failed", errors: parsed.error.issues });
+    }
+
+    const docs = parsed.data.map((slot) => ({
+      experience: id,
+      date: slot.date,
+      startTime: slot.startTime,
+      capacity: slot.capacity || experience.maxGuests || 1,
+    }));
+
+    const slots = await ExperienceSlot.insertMany(docs);
+    res.status(201).json(slots);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "A slot already exists at that date and time" });
+    }
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE /api/experiences/:id/slots/:slotId
+// Slots with bookings are canceled rather than removed.
+export const cancelExperienceSlot = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.slotId)) {
+      return res.status(400).json({ message: "Invalid slot ID format" });
+    }
+
+    // Never booked: nothing to keep, as long as no seat is taken meanwhile
+    const { deletedCount } = await ExperienceSlot.deleteOne({
+      _id: req.params.slotId,
+      experience: req.params.id,
+      seatsBooked: 0,
+    });
+    if (deletedCount) return res.json({ message: "Slot deleted" });
+
+    // Booked slots are kept as canceled; their bookings are canceled and refunded
+    const result = await cancelSlot(req.params.slotId, req.params.id, req.user.id);
+    if (!result) return res.status(404).json({ message: "Slot not found" });
+
+    res.json({
+      message: "Slot canceled",
+      slot: result.slot,
+      bookingsCanceled: result.canceled,
+      bookingsRefunded: result.refunded,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
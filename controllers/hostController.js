@@ -0,0 +1,244 @@
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Place from "../models/Place.js";
+import Payout from "../models/Payout.js";
+import { acceptRequest, declineRequest } from "../utils/bookingRequests.js";
+import { hostBalance, statementMonths, monthlyStatement, requestHostPayout } from "../utils/ledger.js";
+import { normalizeCurrency, BASE_CURRENCY } from "../utils/currency.js";
+
+// Bookings of any place owned by the logged-in host
+async function hostPlaceIds(hostId) {
+  const places = await Place.find({ owner: hostId }).select("_id");
+  return places.map((p) => p._id);
+}
+
+async function loadHostBooking(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, error: "Invalid booking ID format" });
+    return null;
+  }
+
+  const booking = await Booking.findOne({
+    _id: id,
+    place: { $in: await hostPlaceIds(req.user.id) },
+  });
+  if (!booking) {
+    res.status(404).json({ success: false, error: "Booking not found" });
+    return null;
+  }
+  return booking;
+}
+
+/**
+ * @desc Reservations across the host's places
+ * @route GET /api/host/bookings?status=&placeId=&from=&to=&awaiting=true&page=&limit=
+ * @access Private (host)
+ */
+export const getHostBookings = async (req, res) => {
+  try {
+    const { status, placeId, from, to, awaiting, page = 1, limit = 20 } = req.query;
+
+    const placeIds = await hostPlaceIds(req.user.id);
+    const query = { place: { $in: placeIds } };
+
+    if (placeId) {
+      if (!placeIds.some((id) => id.toString() === placeId)) {
+        return res.status(404).json({ success: false, error: "Place not found" });
+      }
+      query.place = placeId;
+    }
+    if (status) query.status = status;
+    if (awaiting === "true") query["hostApproval.status"] = "awaiting";
+
+    // Stays that touch [from, to)
+    if (from) query.checkOut = { $gt: from };
+    if (to) query.checkIn = { $lt: to };
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(query)
+        .sort({ checkIn: 1, createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate("place", "title address photos")
+        .populate("user", "name email"),
+      Booking.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      bookings,
+      total,
+      currentPage: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (error) {
+    console.error("Host Bookings Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch reservations" });
+  }
+};
+
+/**
+ * @desc A single reservation of one of the host's places
+ * @route GET /api/host/bookings/:id
+ * @access Private (host)
+ */
+export const getHostBookingById = async (req, res) => {
+  try {
+    const booking = await loadHostBooking(req, res);
+    if (!booking) return;
+
+    await booking.populate([
+      { path: "place", select: "title address photos" },
+      { path: "user", select: "name email" },
+    ]);
+    res.json({ success: true, booking });
+  } catch (error) {
+    console.error("Host Booking Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch reservation" });
+  }
+};
+
+/**
+ * @desc Accept a request-to-book reservation
+ * @route POST /api/host/bookings/:id/accept
+ * @access Private (host)
+ */
+export const acceptBookingRequest = async (req, res) => {
+  try {
+    const booking = await loadHostBooking(req, res);
+    if (!booking) return;
+
+    if (booking.hostApproval?.status !== "awaiting") {
+      return res.status(400).json({ success: false, error: "Booking is not awaiting a decision" });
+    }
+    if (booking.hostApproval.deadline <= new Date()) {
+      return res.status(410).json({ success: false, error: "Request has expired" });
+    }
+
+    const accepted = await acceptRequest(booking, req.body?.note);
+    if (!accepted) {
+      return res.status(409).json({ success: false, error: "Request was already decided or has expired" });
+    }
+    res.json({ success: true, message: "Request accepted", booking: accepted });
+  } catch (error) {
+    console.error("Accept Request Error:", error);
+    res.status(500).json({ success: false, error: "Failed to accept request" });
+  }
+};
+
+/**
+ * @desc Decline a request-to-book reservation
+ * @route POST /api/host/bookings/:id/decline
+ * @access Private (host)
+ */
+export const declineBookingRequest = async (req, res) => {
+  try {
+    const booking = await loadHostBooking(req, res);
+    if (!booking) return;
+
+    if (booking.hostApproval?.status !== "awaiting") {
+      return res.status(400).json({ success: false, error: "Booking is not awaiting a decision" });
+    }
+
+    const declined = await declineRequest(booking, req.body?.note);
+    if (!declined) {
+      return res.status(409).json({ success: false, error: "Request was already decided or has expired" });
+    }
+    res.json({ success: true, message: "Request declined", booking: declined });
+  } catch (error) {
+    console.error("Decline Request Error:", error);
+    res.status(500).json({ success: false, error: "Failed to decline request" });
+  }
+};
+
+/**
+ * @desc Ledger balance per currency, less payouts already requested
+ * @route GET /api/host/earnings
+ * @access Private (host)
+ */
+export const getEarnings = async (req, res) => {
+  try {
+    const balances = await hostBalance(req.user.id);
+    res.json({ success: true, balances });
+  } catch (error) {
+    console.error("Host Earnings Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch earnings" });
+  }
+};
+
+/**
+ * @desc Months that have a statement
+ * @route GET /api/host/statements
+ * @access Private (host)
+ */
+export const getStatementMonths = async (req, res) => {
+  try {
+    const months = await statementMonths(req.user.id);
+    res.json({ success: true, months });
+  } catch (error) {
+    console.error("Host Statements Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch statements" });
+  }
+};
+
+/**
+ * @desc Ledger entries and opening/closing balances for one month (UTC)
+ * @route GET /api/host/statements/:month   (YYYY-MM)
+ * @access Private (host)
+ */
+export const getMonthlyStatement = async (req, res) => {
+  try {
+    const statement = await monthlyStatement(req.user.id, req.params.month);
+    if (!statement) {
+      return res.status(400).json({ success: false, error: "Month must be in YYYY-MM format" });
+    }
+    res.json({ success: true, statement });
+  } catch (error) {
+    console.error("Host Statement Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch statement" });
+  }
+};
+
+/**
+ * @desc Payout history
+ * @route GET /api/host/payouts?status=
+ * @access Private (host)
+ */
+export const getHostPayouts = async (req, res) => {
+  try {
+    const query = { host: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const payouts = await Payout.find(query).sort({ createdAt: -1 });
+    res.json({ success: true, payouts });
+  } catch (error) {
+    console.error("Host Payouts Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch payouts" });
+  }
+};
+
+/**
+ * @desc Request a payout of (part of) the available balance
+ * @route POST /api/host/payouts   { currency?, amount?, note? }
+ * @access Private (host)
+ */
+export const requestPayout = async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.body?.currency) || BASE_CURRENCY;
+    const { payout, error, available } = await requestHostPayout(req.user.id, {
+      currency,
+      amount: req.body?.amount,
+      note: req.body?.note,
+    });
+    if (error) return res.status(400).json({ success: false, error, available });
+
+    res.status(201).json({ success: true, payout });
+  } catch (error) {
+    console.error("Payout Request Error:", error);
+    res.status(500).json({ success: false, error: "Failed to request payout" });
+  }
+};
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import Payout from "../models/Payout.js";
+import { recordPayout } from "../utils/ledger.js";
+
+// ------------------- LIST PAYOUTS (admin) -------------------
+// GET /payouts?status=pending&hostId=
+export const listPayouts = async (req, res) => {
+  try {
+    const { status, hostId } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (hostId) {
+      if (!mongoose.Types.ObjectId.isValid(hostId)) {
+        return res.status(400).json({ success: false, error: "Invalid host ID format" });
+      }
+      query.host = hostId;
+    }
+
+    const payouts = await Payout.find(query)
+      .sort({ createdAt: 1 })
+      .populate("host", "name email");
+    res.json({ success: true, payouts });
+  } catch (error) {
+    console.error("List Payouts Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch payouts" });
+  }
+};
+
+// ------------------- MARK SENT (admin) -------------------
+// POST /payouts/:id/sent { reference } - the transfer has been made outside
+// the app; debits the host's ledger
+export const markPayoutSent = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid payout ID format" });
+    }
+
+    const reference = req.body?.reference?.trim();
+    if (!reference) {
+      return res.status(400).json({ success: false, error: "Transfer reference is required" });
+    }
+
+    // Atomic so a double click cannot debit the host twice
+    const payout = await Payout.findOneAndUpdate(
+      { _id: id, status: "pending" },
+      { $set: { status: "sent", reference, sentAt: new Date(), markedBy: req.user.id } },
+      { new: true }
+    );
+    if (!payout) {
+      const exists = await Payout.exists({ _id: id });
+      return exists
+        ? res.status(400).json({ success: false, error: "Payout already marked as sent" })
+        : res.status(404).json({ success: false, error: "Payout not found" });
+    }
+
+    await recordPayout(payout);
+    res.json({ success: true, message: "Payout marked as sent", payout });
+  } catch (error) {
+    console.error("Mark Payout Error:", error);
+    res.status(500).json({ success: false, error: "Failed to update payout" });
+  }
+};
@@ -1,8 +1,32 @@
 import Place from "../models/Place.js";
 import User from "../models/User.js";
 import * as z from "zod";
+import mongoose from "mongoose";
+import {
+  getPlaceCalendar, toDateKey, addDays, countNights, findOverlappingBooking,
+} from "../utils/availability.js";
+import { POLICY_NAMES } from "../utils/cancellationPolicy.js";
+import { findHeldNight } from "../utils/inventory.js";
+import { loadRates, isSupportedCurrency, withConvertedPrices } from "../utils/currency.js";
+import { PUBLISHED, isPublished } from "../utils/listings.js";
+import {
+  buildPlaceIcs, parseIcs, importEvents, normalizeFeedUrl, syncFeed,
+} from "../utils/ical.js";
+
+const MAX_CALENDAR_DAYS = 366;
 
 // --- Validation Schema ---
+const percent = z.number().min(0, "Percentage must be positive").max(100, "Percentage cannot exceed 100");
+
+// Long-stay discounts and fees, shared by create and the pricing endpoint
+const feeFields = {
+  weeklyDiscountPercent: percent.optional(),
+  monthlyDiscountPercent: percent.optional(),
+  cleaningFee: z.number().min(0, "Cleaning fee must be positive").optional(),
+  extraGuestFee: z.number().min(0, "Extra guest fee must be positive").optional(),
+  baseOccupancy: z.number().int().min(1, "Base occupancy must be at least 1").optional(),
+};
+
 const placeSchema = z.object({
   title: z.string().min(3, "Title must be at least 3 characters"),
   address: z.string().min(5, "Address is required"),
@@ -17,10 +41,51 @@ const placeSchema = z.object({
   checkIn: z.string().min(1, "Check-in time is required"),
   checkOut: z.string().min(1, "Check-out time is required"),
   maxGuests: z.number().min(1, "At least 1 guest allowed"),
+  guestRules: z
+    .object({
+      petsAllowed: z.boolean().optional(),
+      maxPets: z.number().int().min(0).optional(),
+      childrenAllowed: z.boolean().optional(),
+      infantsAllowed: z.boolean().optional(),
+      infantsCountTowardCapacity: z.boolean().optional(),
+    })
+    .optional(),
   price: z.number().min(0, "Price must be positive"),
+  currency: z.string().regex(/^[A-Za-z]{3}$/, "Currency must be a 3-letter ISO code").optional(),
   city: z.string().min(1, "City is required"),
   state: z.string().min(1, "State is required"),
   country: z.string().min(1, "Country is required"),
+  cancellationPolicy: z.enum(POLICY_NAMES).optional(),
+  bookingMode: z.enum(["instant", "request"]).optional(),
+  requestResponseHours: z.number().int().min(1).max(72).optional(),
+  ...feeFields,
+});
+
+const dateKey = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be YYYY-MM-DD");
+
+const blockedDateSchema = z
+  .object({
+    start: dateKey,
+    end: dateKey,
+    reason: z.string().max(200).optional(),
+  })
+  .refine((r) => r.end >= r.start, { message: "End date must not be before start date", path: ["end"] });
+
+const pricingSchema = z.object({
+  ...feeFields,
+  weekendPrice: z.number().min(0, "Weekend price must be positive").nullable().optional(),
+  priceOverrides: z
+    .array(
+      z
+        .object({
+          start: dateKey,
+          end: dateKey,
+          price: z.number().min(0, "Price must be positive"),
+          label: z.string().max(100).optional(),
+        })
+        .refine((o) => o.end >= o.start, { message: "End date must not be before start date", path: ["end"] })
+    )
+    .optional(),
 });
 
 // --- Helper to format Zod errors ---
@@ -33,6 +98,18 @@ function formatZodErrors(error) {
   return formatted;
 }
 
+// Listings can only be priced in a currency the rate table knows; checkout
+// refuses anything else
+async function checkListingCurrency(data, res) {
+  if (!data.currency || isSupportedCurrency(await loadRates(), data.currency)) return true;
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: { currency: "Unsupported currency" },
+  });
+  return false;
+}
+
 /* ------------------------------------------------------------
    @desc    Create a new place (only for hosts)
    @route   POST /api/places
@@ -56,6 +133,8 @@ export const createPlace = async (req, res) => {
       });
     }
 
+    if (!(await checkListingCurrency(parsed.data, res))) return;
+
     const place = await Place.create({
       owner: req.user.id,
       ...parsed.data,
@@ -107,6 +186,8 @@ export const editPlace = async (req, res) => {
       });
     }
 
+    if (!(await checkListingCurrency(parsed.data, res))) return;
+
     Object.assign(place, parsed.data);
     await place.save();
 
@@ -126,7 +207,8 @@ export const editPlace = async (req, res) => {
 };
 
 /**
- * @desc Get all places with optional filters, search, and wishlist info
+ * @desc Get all places with optional filters, search, and wishlist info.
+ *       ?currency= adds prices converted with the stored exchange rates.
  * @route GET /api/places
  * @access Public (wishlist only if logged in)
  */
@@ -140,9 +222,15 @@ export const getAllPlaces = async (req, res) => {
       limit = 6,
       sortBy = "newest",
       search,
+      currency,
     } = req.query;
 
-    const query = {};
+    const rates = currency ? await loadRates() : null;
+    if (currency && !isSupportedCurrency(rates, currency)) {
+      return res.status(400).json({ error: "Unsupported currency" });
+    }
+
+    const query = { ...PUBLISHED };
 
     // --- Location filter ---
     if (location && location.toLowerCase() !== "all locations") {
@@ -213,7 +301,7 @@ export const getAllPlaces = async (req, res) => {
     }
 
     const enrichedPlaces = places.map((p) => ({
-      ...p.toObject(),
+      ...withConvertedPrices(p, rates, currency),
       isFavorite: wishlistSet.has(p._id.toString()),
     }));
 
@@ -230,14 +318,20 @@ export const getAllPlaces = async (req, res) => {
 };
 
 /**
- * @desc Get a single place by ID (with wishlist info)
+ * @desc Get a single place by ID (with wishlist info, optional ?currency=)
  * @route GET /api/places/:id
  * @access Public (wishlist only if logged in)
  */
 export const getPlaceById = async (req, res) => {
   try {
     const place = await Place.findById(req.params.id);
-    if (!place) return res.status(404).json({ error: "Place not found" });
+    if (!place || !isPublished(place)) return res.status(404).json({ error: "Place not found" });
+
+    const { currency } = req.query;
+    const rates = currency ? await loadRates() : null;
+    if (currency && !isSupportedCurrency(rates, currency)) {
+      return res.status(400).json({ error: "Unsupported currency" });
+    }
 
     let isFavorite = false;
     if (req.user?.id) {
@@ -247,7 +341,7 @@ export const getPlaceById = async (req, res) => {
         .includes(place._id.toString());
     }
 
-    res.json({ ...place.toObject(), isFavorite });
+    res.json({ ...withConvertedPrices(place, rates, currency), isFavorite });
   } catch (err) {
     console.error("Error fetching place:", err);
     res.status(500).json({ error: "Failed to fetch place" });
@@ -291,4 +385,374 @@ export const deletePlace = async (req, res) => {
     console.error("Error deleting place:", err);
     res.status(500).json({ error: "Failed to delete place" });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc Day-by-day availability calendar for a place
+ * @route GET /api/places/:id/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access Public
+ */
+export const getPlaceAvailability = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid place ID format" });
+    }
+
+    const from = req.query.from ? toDateKey(req.query.from) : toDateKey(new Date());
+    const to = req.query.to ? toDateKey(req.query.to) : addDays(from, 30);
+
+    if (!from || !to) {
+      return res.status(400).json({ error: "Invalid from/to date format" });
+    }
+    if (to <= from) {
+      return res.status(400).json({ error: "'to' must be after 'from'" });
+    }
+    if (countNights(from, to) > MAX_CALENDAR_DAYS) {
+      return res.status(400).json({ error: `Range cannot exceed ${MAX_CALENDAR_DAYS} days` });
+    }
+
+    const place = await Place.findById(id).select("blockedDates");
+    if (!place) return res.status(404).json({ error: "Place not found" });
+
+    const days = await getPlaceCalendar(place, from, to);
+
+    res.json({ success: true, placeId: id, from, to, days });
+  } catch (err) {
+    console.error("Error fetching availability:", err);
+    res.status(500).json({ error: "Failed to fetch availability" });
+  }
+};
+
+// --- Helper: load a place and make sure the caller owns it ---
+async function findOwnedPlace(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: "Invalid place ID format" });
+    return null;
+  }
+
+  const place = await Place.findById(req.params.id);
+  if (!place) {
+    res.status(404).json({ success: false, message: "Place not found" });
+    return null;
+  }
+
+  if (place.owner.toString() !== req.user.id) {
+    res.status(403).json({ success: false, message: "Not authorized to manage this place" });
+    return null;
+  }
+
+  return place;
+}
+
+/* ------------------------------------------------------------
+   @desc    Block a date range (maintenance, personal use, ...)
+   @route   POST /api/places/:id/blocked-dates
+   @access  Private (owner host)
+------------------------------------------------------------ */
+export const addBlockedDates = async (req, res) => {
+  try {
+    const place = await findOwnedPlace(req, res);
+    if (!place) return;
+
+    const parsed = blockedDateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: formatZodErrors(parsed.error),
+      });
+    }
+
+    const { start, end, reason } = parsed.data;
+
+    // Blocks are inclusive, bookings check out on the day after the last night.
+    // Held nights count too: a guest may be paying for them or waiting on the
+    // host to accept.
+    const overlapping = await findOverlappingBooking(place._id, start, addDays(end, 1));
+    const held = overlapping ? null : await findHeldNight(place._id, start, addDays(end, 1));
+    if (overlapping || held) {
+      return res.status(409).json({
+        success: false,
+        message: "Dates overlap an existing booking",
+        bookingId: overlapping ? overlapping._id : held.booking,
+      });
+    }
+
+    place.blockedDates.push({ start, end, reason });
+    await place.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Dates blocked successfully",
+      data: place.blockedDates,
+    });
+  } catch (err) {
+    console.error("Error blocking dates:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to block dates",
+      error: err.message,
+    });
+  }
+};
+
+/* ------------------------------------------------------------
+   @desc    Remove a blocked date range
+   @route   DELETE /api/places/:id/blocked-dates/:blockId
+   @access  Private (owner host)
+------------------------------------------------------------ */
+export const removeBlockedDates = async (req, res) => {
+  try {
+    const place = await findOwnedPlace(req, res);
+    if (!place) return;
+
+    const block = place.blockedDates.id(req.params.blockId);
+    if (!block) {
+      return res.status(404).json({ success: false, message: "Blocked range not found" });
+    }
+
+    block.deleteOne();
+    await place.save();
+
+    res.json({
+      success: true,
+      message: "Blocked dates removed",
+      data: place.blockedDates,
+    });
+  } catch (err) {
+    console.error("Error removing blocked dates:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove blocked dates",
+      error: err.message,
+    });
+  }
+};
+
+/* ------------------------------------------------------------
+   @desc    Set weekend price, seasonal / single-date overrides,
+            long-stay discounts and fees
+   @route   PUT /api/places/:id/pricing
+   @access  Private (owner host)
+------------------------------------------------------------ */
+export const updatePlacePricing = async (req, res) => {
+  try {
+    const place = await findOwnedPlace(req, res);
+    if (!place) return;
+
+    const parsed = pricingSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: formatZodErrors(parsed.error),
+      });
+    }
+
+    const { weekendPrice, priceOverrides, ...fees } = parsed.data;
+    if (weekendPrice !== undefined) place.weekendPrice = weekendPrice ?? undefined;
+    if (priceOverrides !== undefined) place.priceOverrides = priceOverrides;
+    for (const [field, value] of Object.entries(fees)) {
+      if (value !== undefined) place[field] = value;
+    }
+    await place.save();
+
+    res.json({
+      success: true,
+      message: "Pricing updated successfully",
+      data: {
+        price: place.price,
+        weekendPrice: place.weekendPrice,
+        priceOverrides: place.priceOverrides,
+        weeklyDiscountPercent: place.weeklyDiscountPercent,
+        monthlyDiscountPercent: place.monthlyDiscountPercent,
+        cleaningFee: place.cleaningFee,
+        extraGuestFee: place.extraGuestFee,
+        baseOccupancy: place.baseOccupancy,
+      },
+    });
+  } catch (err) {
+    console.error("Error updating pricing:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update pricing",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * @desc iCalendar feed of confirmed bookings and host blocks
+ * @route GET /api/places/:id/calendar.ics
+ * @access Public (only dates, no guest details)
+ */
+export const exportPlaceCalendar = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid place ID format" });
+    }
+
+    const place = await Place.findById(req.params.id).select("title blockedDates");
+    if (!place) return res.status(404).json({ error: "Place not found" });
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `inline; filename="place-${place._id}.ics"`);
+    res.send(await buildPlaceIcs(place));
+  } catch (err) {
+    console.error("Error exporting calendar:", err);
+    res.status(500).json({ error: "Failed to export calendar" });
+  }
+};
+
+/* ------------------------------------------------------------
+   @desc    Import an uploaded .ics file as blocked dates
+   @route   POST /api/places/:id/ical-import  (multipart "file" or JSON { ics })
+   @access  Private (owner host)
+------------------------------------------------------------ */
+export const importPlaceCalendar = async (req, res) => {
+  try {
+    const place = await findOwnedPlace(req, res);
+    if (!place) return;
+
+    const text = req.file ? req.file.buffer.toString("utf8") : req.body?.ics;
+    if (!text || !text.includes("BEGIN:VCALENDAR")) {
+      return res.status(400).json({ success: false, message: "An iCalendar file is required" });
+    }
+
+    const events = parseIcs(text);
+    const result = await importEvents(place, events, { source: "ical-upload" });
+    await place.save();
+
+    res.json({
+      success: true,
+      message: `Imported ${result.added.length} of ${events.length} events`,
+      data: result,
+    });
+  } catch (err) {
+    console.error("Error importing calendar:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to import calendar",
+      error: err.message,
+    });
+  }
+};
+
+/* ------------------------------------------------------------
+   @desc    List external calendar feeds
+   @route   GET /api/places/:id/ical-feeds
+   @access  Private (owner host)
+------------------------------------------------------------ */
+export const getCalendarFeeds = async (req, res) => {
+  try {
+    const place = await findOwnedPlace(req, res);
+    if (!place) return;
+
+    res.json({ success: true, data: place.icalFeeds });
+  } catch (err) {
+    console.error("Error fetching calendar feeds:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch calendar feeds",
+      error: err.message,
+    });
+  }
+};
+
+/* ------------------------------------------------------------
+   @desc    Register an external iCal URL and sync it right away
+   @route   POST /api/places/:id/ical-feeds  { url, name }
+   @access  Private (owner host)
+------------------------------------------------------------ */
+export const addCalendarFeed = async (req, res) => {
+  try {
+    const place = await findOwnedPlace(req, res);
+    if (!place) return;
+
+    const url = normalizeFeedUrl(req.body?.url);
+    if (!url) {
+      return res.status(400).json({ success: false, message: "A public http(s) calendar URL is required" });
+    }
+    if (place.icalFeeds.some((f) => f.url === url)) {
+      return res.status(409).json({ success: false, message: "This calendar is already connected" });
+    }
+
+    place.icalFeeds.push({ url, name: req.body?.name });
+    const feed = place.icalFeeds[place.icalFeeds.length - 1];
+    const result = await syncFeed(place, feed);
+    await place.save();
+
+    res.status(201).json({
+      success: true,
+      message: result.error ? "Calendar added, but the first sync failed" : "Calendar connected",
+      data: { feed, ...result },
+    });
+  } catch (err) {
+    console.error("Error adding calendar feed:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add calendar feed",
+      error: err.message,
+    });
+  }
+};
+
+/* ------------------------------------------------------------
+   @desc    Re-sync one external calendar now
+   @route   POST /api/places/:id/ical-feeds/:feedId/sync
+   @access  Private (owner host)
+------------------------------------------------------------ */
+export const syncCalendarFeed = async (req, res) => {
+  try {
+    const place = await findOwnedPlace(req, res);
+    if (!place) return;
+
+    const feed = place.icalFeeds.id(req.params.feedId);
+    if (!feed) return res.status(404).json({ success: false, message: "Calendar feed not found" });
+
+    const result = await syncFeed(place, feed);
+    await place.save();
+
+    res.status(result.error ? 502 : 200).json({
+      success: !result.error,
+      message: result.error ? `Sync failed: ${result.error}` : "Calendar synced",
+      data: { feed, ...result },
+    });
+  } catch (err) {
+    console.error("Error syncing calendar feed:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to sync calendar feed",
+      error: err.message,
+    });
+  }
+};
+
+/* ------------------------------------------------------------
+   @desc    Disconnect an external calendar and drop its blocks
+   @route   DELETE /api/places/:id/ical-feeds/:feedId
+   @access  Private (owner host)
+------------------------------------------------------------ */
+export const removeCalendarFeed = async (req, res) => {
+  try {
+    const place = await findOwnedPlace(req, res);
+    if (!place) return;
+
+    const feed = place.icalFeeds.id(req.params.feedId);
+    if (!feed) return res.status(404).json({ success: false, message: "Calendar feed not found" });
+
+    place.blockedDates = place.blockedDates.filter((b) => b.feed?.toString() !== feed._id.toString());
+    feed.deleteOne();
+    await place.save();
+
+    res.json({ success: true, message: "Calendar disconnected" });
+  } catch (err) {
+    console.error("Error removing calendar feed:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove calendar feed",
+      error: err.message,
+    });
+  }
+};
@@ -0,0 +1,150 @@
+import mongoose from "mongoose";
+import Refund from "../models/Refund.js";
+import Booking from "../models/Booking.js";
+import {
+  REFUND_STATUS, claimRefundApproval, claimRefundRejection, claimRefundRetry, processRefund,
+} from "../utils/refunds.js";
+
+// Hosts manage refunds for their own places; admins manage all of them
+const scopeFor = (user) => (user.role === "admin" ? {} : { host: user.id });
+
+async function loadRefund(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, error: "Invalid refund ID format" });
+    return null;
+  }
+
+  const refund = await Refund.findOne({ _id: id, ...scopeFor(req.user) });
+  if (!refund) {
+    res.status(404).json({ success: false, error: "Refund not found" });
+    return null;
+  }
+  return refund;
+}
+
+// ------------------- LIST REFUNDS -------------------
+export const listRefunds = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = scopeFor(req.user);
+    if (status) query.status = status;
+
+    const refunds = await Refund.find(query)
+      .sort({ createdAt: -1 })
+      .populate("booking", "type place item checkIn checkOut date totalAmount status name");
+
+    res.json({ success: true, refunds });
+  } catch (error) {
+    console.error("List Refunds Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch refunds" });
+  }
+};
+
+// ------------------- GET REFUND -------------------
+export const getRefund = async (req, res) => {
+  try {
+    const refund = await loadRefund(req, res);
+    if (!refund) return;
+
+    await refund.populate("booking");
+    res.json({ success: true, refund });
+  } catch (error) {
+    console.error("Get Refund Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch refund" });
+  }
+};
+
+// ------------------- APPROVE REFUND -------------------
+// Approval immediately hands the refund to the payment gateway
+export const approveRefundRequest = async (req, res) => {
+  try {
+    const refund = await loadRefund(req, res);
+    if (!refund) return;
+
+    if (refund.status !== REFUND_STATUS.REQUESTED) {
+      return res.status(400).json({ success: false, error: `Refund already ${refund.status}` });
+    }
+
+    const booking = await Booking.findById(refund.booking);
+    if (!booking) return res.status(404).json({ success: false, error: "Booking not found" });
+
+    const claimed = await claimRefundApproval({ _id: refund._id }, req.user.id, req.body?.note);
+    if (!claimed) {
+      return res.status(409).json({ success: false, error: "Refund was already decided by another request" });
+    }
+
+    const processed = await processRefund(claimed, booking, req.user.id, {
+      partial: refund.kind !== "cancellation",
+    });
+    if (!processed) {
+      return res.status(502).json({
+        success: false,
+        error: "Refund approved but the gateway call failed; retry processing",
+        refund: claimed,
+      });
+    }
+
+    res.json({ success: true, message: "Refund processed", refund: claimed });
+  } catch (error) {
+    console.error("Approve Refund Error:", error);
+    res.status(500).json({ success: false, error: "Failed to approve refund" });
+  }
+};
+
+// ------------------- REJECT REFUND -------------------
+export const rejectRefundRequest = async (req, res) => {
+  try {
+    const refund = await loadRefund(req, res);
+    if (!refund) return;
+
+    if (refund.status !== REFUND_STATUS.REQUESTED) {
+      return res.status(400).json({ success: false, error: `Refund already ${refund.status}` });
+    }
+
+    const note = req.body?.note;
+    if (!note) return res.status(400).json({ success: false, error: "A reason is required to reject a refund" });
+
+    const rejected = await claimRefundRejection({ _id: refund._id }, req.user.id, note);
+    if (!rejected) {
+      return res.status(409).json({ success: false, error: "Refund was already decided by another request" });
+    }
+
+    res.json({ success: true, message: "Refund rejected", refund: rejected });
+  } catch (error) {
+    console.error("Reject Refund Error:", error);
+    res.status(500).json({ success: false, error: "Failed to reject refund" });
+  }
+};
+
+// ------------------- RETRY PROCESSING -------------------
+export const retryRefundProcessing = async (req, res) => {
+  try {
+    const refund = await loadRefund(req, res);
+    if (!refund) return;
+
+    if (refund.status !== REFUND_STATUS.APPROVED) {
+      return res.status(400).json({ success: false, error: "Only approved refunds can be processed" });
+    }
+
+    const booking = await Booking.findById(refund.booking);
+    if (!booking) return res.status(404).json({ success: false, error: "Booking not found" });
+
+    const claimed = await claimRefundRetry({ _id: refund._id });
+    if (!claimed) {
+      return res.status(409).json({ success: false, error: "Refund is already being processed" });
+    }
+
+    const processed = await processRefund(claimed, booking, req.user.id, {
+      partial: claimed.kind !== "cancellation",
+    });
+    if (!processed) {
+      return res.status(502).json({ success: false, error: "Gateway refund failed", refund: claimed });
+    }
+
+    res.json({ success: true, message: "Refund processed", refund: claimed });
+  } catch (error) {
+    console.error("Process Refund Error:", error);
+    res.status(500).json({ success: false, error: "Failed to process refund" });
+  }
+};
@@ -1,4 +1,5 @@
 import {Service} from "../models/Service.js";
+import { loadRates, isSupportedCurrency, withConvertedPrices } from "../utils/currency.js";
 
 export const getServiceById = async (req, res) => {
   try {
@@ -6,6 +7,16 @@ export const getServiceById = async (req, res) => {
     if (!service) {
       return res.status(404).json({ message: "Service not found" });
     }
+
+    const { currency } = req.query;
+    if (currency) {
+      const rates = await loadRates();
+      if (!isSupportedCurrency(rates, currency)) {
+        return res.status(400).json({ message: "Unsupported currency" });
+      }
+      return res.json(withConvertedPrices(service, rates, currency));
+    }
+
     res.json(service);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -13,8 +24,14 @@ export const getServiceById = async (req, res) => {
 };
 export const getAllServices = async (req, res) => {
   try {
+    const { currency } = req.query;
+    const rates = currency ? await loadRates() : null;
+    if (currency && !isSupportedCurrency(rates, currency)) {
+      return res.status(400).json({ message: "Unsupported currency" });
+    }
+
     const services = await Service.find();
-    res.json(services);
+    res.json(currency ? services.map((s) => withConvertedPrices(s, rates, currency)) : services);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -0,0 +1,213 @@
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import { getPaymentGateway, toSmallestUnit } from "../utils/paymentGateway.js";
+import { isHoldLapsed } from "../utils/holds.js";
+import {
+  startSplit, recordSharePayment, findShareFor, shareForOrder, holdsShare, isSplitParticipant, MAX_SPLIT_SHARES,
+} from "../utils/splitPayments.js";
+
+async function loadBooking(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, error: "Invalid booking ID format" });
+    return null;
+  }
+
+  const booking = await Booking.findById(id);
+  if (!booking) {
+    res.status(404).json({ success: false, error: "Booking not found" });
+    return null;
+  }
+  return booking;
+}
+
+// The invitee's share, or a 404 for anyone it wasn't addressed to
+function loadShare(req, res, booking) {
+  const share = findShareFor(booking, req.params.shareId, req.user);
+  if (!share) res.status(404).json({ success: false, error: "Share not found" });
+  return share;
+}
+
+// ------------------- START SPLIT -------------------
+// POST /bookings/:id/split { participants: [{ email } | { userId }, amount?], amount?, deadlineHours? }
+// `amount` is the booker's own share; shares without one split the rest evenly
+export const splitBooking = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    if (booking.user.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, error: "Only the booker can split this booking" });
+    }
+    if (booking.status !== "pending") {
+      return res.status(400).json({ success: false, error: "Booking already paid or canceled" });
+    }
+    if (booking.trip) {
+      return res.status(400).json({ success: false, error: "Bookings in a trip cannot be split" });
+    }
+    if (booking.hostApproval?.status === "awaiting") {
+      return res.status(400).json({ success: false, error: "Waiting for the host to accept this request" });
+    }
+    if (isHoldLapsed(booking)) {
+      return res.status(410).json({ success: false, error: "Your hold on these dates has expired, please book again" });
+    }
+    if (booking.split?.shares.some((s) => s.status === "paid")) {
+      return res.status(400).json({ success: false, error: "Shares are already being paid for this booking" });
+    }
+
+    const { participants, amount, deadlineHours } = req.body;
+    const result = await startSplit(booking, { bookerId: req.user.id, participants, amount, deadlineHours });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error, maxShares: MAX_SPLIT_SHARES });
+    }
+
+    res.status(201).json({ success: true, split: booking.split, totalAmount: booking.totalAmount, currency: booking.currency });
+  } catch (error) {
+    console.error("Split Booking Error:", error);
+    res.status(500).json({ success: false, error: "Failed to split booking" });
+  }
+};
+
+// ------------------- GET SPLIT -------------------
+// Visible to the booker and everyone holding a share
+export const getSplit = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    if (booking.user.toString() !== req.user.id && !isSplitParticipant(booking, req.user)) {
+      return res.status(403).json({ success: false, error: "Unauthorized action" });
+    }
+    if (!booking.split?.status) {
+      return res.status(404).json({ success: false, error: "This booking is not split" });
+    }
+
+    res.json({
+      success: true,
+      bookingId: booking._id,
+      status: booking.status,
+      totalAmount: booking.totalAmount,
+      currency: booking.currency,
+      split: booking.split,
+    });
+  } catch (error) {
+    console.error("Get Split Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch split" });
+  }
+};
+
+// ------------------- MY SHARES -------------------
+// Shares the logged-in user has been invited to pay
+export const getMyShares = async (req, res) => {
+  try {
+    const { id, email, emailVerified } = req.user;
+    const match = [{ user: new mongoose.Types.ObjectId(String(id)) }];
+    if (email && emailVerified === true) match.push({ email: email.toLowerCase() });
+
+    const bookings = await Booking.find({ "split.shares": { $elemMatch: { $or: match } } })
+      .sort({ createdAt: -1 })
+      .populate("place", "title address photos")
+      .populate("item", "title");
+
+    const shares = bookings.map((booking) => ({
+      bookingId: booking._id,
+      bookingStatus: booking.status,
+      listing: booking.type === "place" ? booking.place : booking.item,
+      currency: booking.currency,
+      splitStatus: booking.split.status,
+      deadline: booking.split.deadline,
+      share: booking.split.shares.find((s) => holdsShare(s, req.user)),
+    }));
+
+    res.json({ success: true, shares });
+  } catch (error) {
+    console.error("Get Shares Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch shares" });
+  }
+};
+
+// ------------------- INITIATE SHARE PAYMENT -------------------
+export const initiateSharePayment = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+    const share = loadShare(req, res, booking);
+    if (!share) return;
+
+    if (share.status === "paid") {
+      return res.status(400).json({ success: false, error: "This share is already paid" });
+    }
+    if (booking.split.status !== "collecting" || booking.status !== "pending" || isHoldLapsed(booking)) {
+      return res.status(410).json({ success: false, error: "This split payment is closed" });
+    }
+
+    const gateway = getPaymentGateway();
+    const order = await gateway.createOrder({
+      amount: toSmallestUnit(share.amount, booking.currency),
+      currency: booking.currency || "INR",
+      receipt: `${booking._id}-share-${share._id}`,
+      notes: { bookingId: booking._id.toString(), shareId: share._id.toString(), kind: "split" },
+    });
+
+    // The replaced order can still be paid from an open checkout
+    if (share.paymentOrderId) share.previousOrderIds.push(share.paymentOrderId);
+    share.paymentGateway = gateway.name;
+    share.paymentOrderId = order.id;
+    await booking.save();
+
+    res.json({
+      success: true,
+      gateway: gateway.name,
+      keyId: gateway.keyId,
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      bookingId: booking._id,
+      shareId: share._id,
+    });
+  } catch (error) {
+    console.error("Share payment initiation error:", error);
+    res.status(500).json({ success: false, error: "Payment initiation failed" });
+  }
+};
+
+// ------------------- VERIFY SHARE PAYMENT -------------------
+// A declined share can simply be paid again before the deadline
+export const verifySharePayment = async (req, res) => {
+  try {
+    const { orderId, paymentId, signature } = req.body;
+    if (!orderId || !paymentId || !signature) {
+      return res.status(400).json({ success: false, error: "Missing payment verification fields" });
+    }
+
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+    const share = loadShare(req, res, booking);
+    if (!share) return;
+
+    if (shareForOrder(booking, orderId) !== share) {
+      return res.status(400).json({ success: false, error: "Order does not belong to this share" });
+    }
+    // Webhook may have recorded it already
+    if (share.status === "paid" && share.paymentId === paymentId) {
+      return res.json({ success: true, status: booking.status, split: booking.split });
+    }
+
+    const valid = getPaymentGateway().verifyPaymentSignature({ orderId, paymentId, signature });
+    if (!valid) return res.status(402).json({ success: false, error: "Payment verification failed" });
+
+    const { accepted, booking: current } = await recordSharePayment(booking, share, paymentId);
+    if (!accepted) {
+      return res.status(409).json({
+        success: false,
+        error: "This share could no longer be paid (split closed or already paid); your payment has been refunded",
+        status: current.status,
+      });
+    }
+
+    res.json({ success: true, status: current.status, split: current.split });
+  } catch (error) {
+    console.error("Share payment verification error:", error);
+    res.status(500).json({ success: false, error: "Payment verification failed" });
+  }
+};
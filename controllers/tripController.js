@@ -0,0 +1,162 @@
+import mongoose from "mongoose";
+import Trip from "../models/Trip.js";
+import Booking from "../models/Booking.js";
+import { getPaymentGateway, toSmallestUnit } from "../utils/paymentGateway.js";
+import { validateContact } from "../utils/bookingDrafts.js";
+import { isHoldLapsed } from "../utils/holds.js";
+import { createTrip as createTripBookings, confirmPaidTrip, failUnpaidTrip, MAX_TRIP_ITEMS } from "../utils/trips.js";
+
+async function loadOwnTrip(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, error: "Invalid trip ID format" });
+    return null;
+  }
+
+  const trip = await Trip.findOne({ _id: id, user: req.user.id });
+  if (!trip) {
+    res.status(404).json({ success: false, error: "Trip not found" });
+    return null;
+  }
+  return trip;
+}
+
+// ------------------- CREATE TRIP -------------------
+// POST /trips { name, phone, paymentMethod, currency?, items: [{ type, itemId, ...same fields as POST /bookings }] }
+export const createTrip = async (req, res) => {
+  try {
+    const { items, name, phone, paymentMethod, currency } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0 || !name || !phone || !paymentMethod) {
+      return res.status(400).json({ success: false, error: "Missing required fields" });
+    }
+    if (items.length > MAX_TRIP_ITEMS) {
+      return res.status(400).json({ success: false, error: `A trip can hold at most ${MAX_TRIP_ITEMS} items` });
+    }
+
+    const contactError = validateContact({ name, phone });
+    if (contactError) return res.status(400).json({ success: false, error: contactError });
+
+    const result = await createTripBookings({
+      userId: req.user.id,
+      items,
+      contact: { name, phone, paymentMethod },
+      currency,
+    });
+    if (result.error) {
+      const { status, ...failure } = result;
+      return res.status(status).json({ success: false, ...failure });
+    }
+
+    res.status(201).json({ success: true, tripId: result.trip._id, trip: result.trip, bookings: result.bookings });
+  } catch (error) {
+    console.error("Trip Error:", error);
+    res.status(500).json({ success: false, error: error.message || "Trip checkout failed" });
+  }
+};
+
+// ------------------- GET TRIPS -------------------
+export const getUserTrips = async (req, res) => {
+  try {
+    const trips = await Trip.find({ user: req.user.id }).sort({ createdAt: -1 }).populate("bookings");
+    res.json({ success: true, trips });
+  } catch (error) {
+    console.error("Get Trips Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch trips" });
+  }
+};
+
+export const getTripById = async (req, res) => {
+  try {
+    const trip = await loadOwnTrip(req, res);
+    if (!trip) return;
+
+    await trip.populate({ path: "bookings", populate: [{ path: "place" }, { path: "item" }] });
+    res.json({ success: true, trip });
+  } catch (error) {
+    console.error("Get Trip Error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch trip" });
+  }
+};
+
+// ------------------- INITIATE PAYMENT -------------------
+// One gateway order for the whole trip. Every booking carries the order id so
+// the webhook can find them.
+export const initiateTripPayment = async (req, res) => {
+  try {
+    const trip = await loadOwnTrip(req, res);
+    if (!trip) return;
+
+    if (trip.status !== "pending") {
+      return res.status(400).json({ success: false, error: "Trip already paid or closed" });
+    }
+
+    const bookings = await Booking.find({ _id: { $in: trip.bookings } });
+    if (bookings.some((b) => b.status !== "pending" || isHoldLapsed(b))) {
+      return res.status(410).json({ success: false, error: "Your hold on this trip has expired, please book again" });
+    }
+
+    const gateway = getPaymentGateway();
+    const order = await gateway.createOrder({
+      amount: toSmallestUnit(trip.totalAmount, trip.currency),
+      currency: trip.currency,
+      receipt: `trip-${trip._id}`,
+      notes: { tripId: trip._id.toString() },
+    });
+
+    trip.paymentGateway = gateway.name;
+    trip.paymentOrderId = order.id;
+    await trip.save();
+    await Booking.updateMany(
+      { _id: { $in: trip.bookings } },
+      { $set: { paymentGateway: gateway.name, paymentOrderId: order.id } }
+    );
+
+    res.json({
+      success: true,
+      gateway: gateway.name,
+      keyId: gateway.keyId,
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      tripId: trip._id,
+    });
+  } catch (error) {
+    console.error("Trip payment initiation error:", error);
+    res.status(500).json({ success: false, error: "Payment initiation failed" });
+  }
+};
+
+// ------------------- VERIFY PAYMENT -------------------
+export const verifyTripPayment = async (req, res) => {
+  try {
+    const { orderId, paymentId, signature } = req.body;
+    if (!orderId || !paymentId || !signature) {
+      return res.status(400).json({ success: false, error: "Missing payment verification fields" });
+    }
+
+    const trip = await loadOwnTrip(req, res);
+    if (!trip) return;
+
+    if (trip.paymentOrderId !== orderId) {
+      return res.status(400).json({ success: false, error: "Order does not belong to this trip" });
+    }
+
+    // Webhook may have settled it already
+    if (!["pending", "expired"].includes(trip.status)) {
+      return res.json({ success: true, status: trip.status });
+    }
+
+    const valid = getPaymentGateway().verifyPaymentSignature({ orderId, paymentId, signature });
+    if (!valid) {
+      await failUnpaidTrip(trip);
+      return res.status(402).json({ success: false, error: "Payment verification failed" });
+    }
+
+    await confirmPaidTrip(trip, paymentId);
+    res.json({ success: trip.status !== "failed", status: trip.status });
+  } catch (error) {
+    console.error("Trip payment verification error:", error);
+    res.status(500).json({ success: false, error: "Payment verification failed" });
+  }
+};
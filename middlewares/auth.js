@@ -1,14 +1,56 @@
 import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
 
 export const jwtSecret = process.env.JWT_SECRET || "supersecret";
 
+// Access tokens are short-lived; the session they were issued for must also
+// still be active, so a revoked device is locked out before its token expires
 export const requireAuth = (req, res, next) => {
   const token = req.cookies.token;
   if (!token) return res.status(401).json({ error: "Not authenticated" });
 
-  jwt.verify(token, jwtSecret, (err, userData) => {
-    if (err) return res.status(401).json({ error: "Invalid token" });
+  jwt.verify(token, jwtSecret, async (err, userData) => {
+    if (err) {
+      const error = err.name === "TokenExpiredError" ? "Token expired" : "Invalid token";
+      return res.status(401).json({ error });
+    }
+
+    try {
+      const active = userData.sid && (await Session.exists({
+        _id: userData.sid,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }));
+      if (!active) return res.status(401).json({ error: "Session revoked" });
+    } catch (sessionErr) {
+      return next(sessionErr);
+    }
+
     req.user = userData;
     next();
   });
 };
+
+// For public routes that do more for a logged-in caller: sets req.user when a
+// valid token for an active session is sent, and carries on anonymously
+// otherwise
+export const optionalAuth = (req, res, next) => {
+  const token = req.cookies.token;
+  if (!token) return next();
+
+  jwt.verify(token, jwtSecret, async (err, userData) => {
+    if (err || !userData.sid) return next();
+
+    try {
+      const active = await Session.exists({
+        _id: userData.sid,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      });
+      if (active) req.user = userData;
+      next();
+    } catch (sessionErr) {
+      next(sessionErr);
+    }
+  });
+};
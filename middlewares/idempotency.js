@@ -0,0 +1,98 @@
+import crypto from "crypto";
+import IdempotencyKey from "../models/IdempotencyKey.js";
+
+const KEY_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+// A request that never answered (crashed, or the process died) stops
+// blocking its key after this long
+const PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+const fingerprintOf = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body ?? {})}`)
+    .digest("hex");
+
+// Honours an optional Idempotency-Key header. The first request with a key runs
+// normally and its response is stored; replays get that stored response back
+// (with Idempotent-Replayed: true). Server errors are not stored, so the client
+// can retry them with the same key.
+export const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ success: false, error: "Idempotency-Key is too long" });
+  }
+
+  const scope = req.user?.id ? String(req.user.id) : "anonymous";
+  const fingerprint = fingerprintOf(req);
+
+  try {
+    await IdempotencyKey.create({
+      key,
+      scope,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      fingerprint,
+      expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000),
+    });
+  } catch (err) {
+    if (err.code !== 11000) return next(err);
+
+    const existing = await IdempotencyKey.findOne({ scope, key });
+    if (!existing) return res.status(409).json({ success: false, error: "Idempotency-Key conflict, please retry" });
+
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({ success: false, error: "Idempotency-Key was already used for a different request" });
+    }
+    if (existing.status === "processing") {
+      // Take over a stale attempt; only one retry can win it
+      const takenOver = await IdempotencyKey.findOneAndUpdate(
+        {
+          _id: existing._id,
+          status: "processing",
+          updatedAt: { $lte: new Date(Date.now() - PROCESSING_TIMEOUT_MS) },
+        },
+        { $set: { expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000) } }
+      );
+      if (!takenOver) {
+        return res.status(409).json({ success: false, error: "A request with this Idempotency-Key is still in progress" });
+      }
+    } else {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+  }
+
+  // The outcome is stored as soon as the handler answers, even if the client
+  // has gone away by then (the response would never "finish")
+  let settled = false;
+  const settle = (status, body) => {
+    if (settled) return;
+    settled = true;
+    const done =
+      status >= 500
+        ? IdempotencyKey.deleteOne({ scope, key })
+        : IdempotencyKey.updateOne(
+            { scope, key },
+            { $set: { status: "completed", responseStatus: status, responseBody: body } }
+          );
+    done.catch((err) => console.error("Idempotency store error:", err));
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    settle(res.statusCode, body);
+    return json(body);
+  };
+
+  // Non-JSON responses are settled once sent; a connection closed before the
+  // handler answered leaves the key processing until the handler does (or
+  // until it goes stale)
+  res.on("close", () => {
+    if (res.writableFinished) settle(res.statusCode);
+  });
+
+  next();
+};
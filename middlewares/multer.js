@@ -1,3 +1,9 @@
 import multer from "multer";
 
 export const photosMiddleware = multer({ dest: "/tmp" });
+
+// Small text uploads (.ics calendars) kept in memory
+export const icsMiddleware = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+});
@@ -1,5 +1,37 @@
-export const requireHost = (req, res, next) => {
+// What each role may do beyond its own data. Admin endpoints check a
+// permission rather than a role name, so a new staff role only needs an entry
+// here.
+export const ROLE_PERMISSIONS = {
+  admin: [
+    "users:manage",
+    "listings:moderate",
+    "bookings:view-all",
+    "services:manage",
+    "payouts:manage",
+    "coupons:manage",
+    "currencies:manage",
+  ],
+  host: [],
+  customer: [],
+};
+
+export const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// requireRole(["host", "admin"], "Only hosts or admins allowed")
+export const requireRole = (roles, message = "Forbidden") => (req, res, next) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized" });
+  if (!roles.includes(req.user.role)) return res.status(403).json({ message });
+  next();
+};
+
+export const requirePermission = (permission) => (req, res, next) => {
   if (!req.user) return res.status(401).json({ message: "Unauthorized" });
-  if (req.user.role !== "host") return res.status(403).json({ message: "Only hosts allowed" });
+  if (!hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ message: "You don't have permission to do this" });
+  }
   next();
 };
+
+export const requireHost = requireRole(["host"], "Only hosts allowed");
+export const requireAdmin = requireRole(["admin"], "Only admins allowed");
+export const requireHostOrAdmin = requireRole(["host", "admin"], "Only hosts or admins allowed");
@@ -0,0 +1,37 @@
+// Maps free-text cancellation policies on experiences (stored before the field
+// became an enum) onto policy names, so those documents validate when saved.
+// Safe to run more than once.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Experience from "./models/Experience.js";
+import { POLICY_NAMES, normalizePolicy } from "./utils/cancellationPolicy.js";
+
+dotenv.config();
+const MONGO_URL = process.env.MONGO_URL || "mongodb://localhost:27017/airbnb-clone";
+
+async function migrateCancellationPolicies() {
+  try {
+    await mongoose.connect(MONGO_URL, { dbName: "airbnb-clone" });
+    console.log("Connected to MongoDB:", MONGO_URL);
+
+    // Read through the raw collection: the documents don't pass the schema yet
+    const legacy = await Experience.collection
+      .find({ cancellationPolicy: { $exists: true, $nin: POLICY_NAMES } }, { projection: { cancellationPolicy: 1 } })
+      .toArray();
+
+    for (const doc of legacy) {
+      const policy = normalizePolicy(doc.cancellationPolicy);
+      await Experience.collection.updateOne({ _id: doc._id }, { $set: { cancellationPolicy: policy } });
+      console.log(`${doc._id}: "${doc.cancellationPolicy}" -> ${policy}`);
+    }
+    console.log(`${legacy.length} experiences updated`);
+
+    await mongoose.connection.close();
+  } catch (err) {
+    console.error("Error migrating cancellation policies:", err);
+    try { await mongoose.connection.close(); } catch (e) {}
+    process.exit(1);
+  }
+}
+
+migrateCancellationPolicies();
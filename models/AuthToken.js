@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// Single-use tokens mailed to users (email verification, password reset).
+// Only a hash is stored; the raw token exists in the email link alone.
+const authTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  purpose: { type: String, enum: ["verify-email", "reset-password"], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+}, { timestamps: true });
+
+// Expired tokens are dropped by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("AuthToken", authTokenSchema);
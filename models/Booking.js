@@ -10,25 +10,151 @@ const bookingSchema = new mongoose.Schema({
   checkIn: { type: String },
   checkOut: { type: String },
   date: { type: String },
+  // Experience slot and the seats this booking holds in it
+  slot: { type: mongoose.Schema.Types.ObjectId, ref: "ExperienceSlot" },
+  startTime: { type: String },
+  seatsHeld: { type: Number, default: 0 },
 
+  // Guests counted against capacity (adults + children, plus infants if the
+  // listing counts them); the full party is in `guests`
   numberOfGuests: { type: Number, required: true },
+  guests: {
+    adults: { type: Number, default: 0 },
+    children: { type: Number, default: 0 },
+    infants: { type: Number, default: 0 },
+    pets: { type: Number, default: 0 },
+  },
   name: { type: String, required: true },
   phone: { type: String, required: true },
   address: { type: String },
 
   // Payment
   price: { type: Number, required: true },
+  nightlyRates: [{ date: String, price: Number, _id: false }],
+  // Place extras, kept apart from the nightly `price` so receipts can list them
+  extraGuestFee: { type: Number, default: 0 },
+  cleaningFee: { type: Number, default: 0 },
+  stayDiscount: {
+    kind: { type: String, enum: ["weekly", "monthly"] },
+    percent: Number,
+    amount: { type: Number, default: 0 },
+  },
+  // Coupon taken off the subtotal before the service fee
+  discount: {
+    code: String,
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+    amount: { type: Number, default: 0 },
+  },
   serviceFee: { type: Number, required: true },
   totalAmount: { type: Number, required: true },
+  // Amounts above are in `currency`. exchangeRate converted the listing's
+  // prices into it; baseExchangeRate converted base-currency (INR) amounts.
+  currency: { type: String, default: "INR" },
+  listingCurrency: { type: String, default: "INR" },
+  exchangeRate: { type: Number, default: 1 },
+  baseExchangeRate: { type: Number, default: 1 },
   paymentMethod: { type: String, default: "Test Gateway" },
   transactionId: { type: String, required: true },
+  paymentGateway: { type: String },
+  paymentOrderId: { type: String, index: true },
+  paymentId: { type: String },
+  paidAt: { type: Date },
 
   // Booking status
-  status: { type: String, enum: ["pending", "confirmed", "canceled", "failed", "refunded"], default: "pending" },
+  status: {
+    type: String,
+    enum: ["pending", "confirmed", "canceled", "failed", "refunded", "declined", "expired"],
+    default: "pending",
+  },
+  // Unpaid bookings hold their dates/seats until this time
+  holdExpiresAt: { type: Date },
+  // Set when the booking was checked out as part of a trip (paid together)
+  trip: { type: mongoose.Schema.Types.ObjectId, ref: "Trip", index: true },
+  // Request-to-book places only
+  hostApproval: {
+    status: { type: String, enum: ["awaiting", "accepted", "declined", "expired"] },
+    deadline: { type: Date },
+    respondedAt: { type: Date },
+    note: { type: String },
+  },
+  // Split payment: the total is divided into shares that the booker and the
+  // people they invite pay separately. The booking is confirmed once every
+  // share is paid; until then its hold runs to `deadline`.
+  split: {
+    status: { type: String, enum: ["collecting", "completed", "failed"] },
+    deadline: { type: Date },
+    shares: [{
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      email: { type: String, lowercase: true, trim: true },
+      amount: { type: Number, required: true },
+      status: { type: String, enum: ["pending", "paid"], default: "pending" },
+      paymentGateway: { type: String },
+      paymentOrderId: { type: String, index: true },
+      // Orders replaced by a newer one; a late capture on them still counts
+      previousOrderIds: { type: [String], index: true },
+      paymentId: { type: String },
+      paidAt: { type: Date },
+      // Given back so far through refunds
+      refunded: { type: Number, default: 0 },
+    }],
+  },
+  cancellationPolicy: { type: String },
+  canceledAt: { type: Date },
+  refundableAmount: { type: Number },
   refundRequested: { type: Boolean, default: false },
   refundRequestedAt: { type: Date },
+  refund: { type: mongoose.Schema.Types.ObjectId, ref: "Refund" },
+
+  // Date / guest changes after booking. Extra charges are collected through
+  // their own gateway order and the change only applies once that is paid;
+  // reductions go out as partial refunds.
+  modifications: [{
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    previous: {
+      checkIn: String,
+      checkOut: String,
+      date: String,
+      slot: { type: mongoose.Schema.Types.ObjectId },
+      numberOfGuests: Number,
+      totalAmount: Number,
+    },
+    next: {
+      checkIn: String,
+      checkOut: String,
+      date: String,
+      slot: { type: mongoose.Schema.Types.ObjectId },
+      numberOfGuests: Number,
+      totalAmount: Number,
+    },
+    // The booking as the change leaves it: guests, slot start time, prices,
+    // and the seats taken for it while a charge is pending
+    change: {
+      guests: Object,
+      startTime: String,
+      seats: Number,
+      pricing: Object,
+    },
+    priceDelta: Number,
+    // Split of priceDelta between the host's subtotal and the service fee
+    subtotalDelta: Number,
+    serviceFeeDelta: Number,
+    settlement: { type: String, enum: ["none", "charge", "refund"] },
+    paymentOrderId: { type: String, index: true },
+    paymentStatus: { type: String, enum: ["pending", "paid", "failed"] },
+    paymentId: { type: String },
+    // The new dates/seats are held until then for the charge to be paid
+    holdExpiresAt: { type: Date },
+    refund: { type: mongoose.Schema.Types.ObjectId, ref: "Refund" },
+  }],
 
   createdAt: { type: Date, default: Date.now }
 });
 
+bookingSchema.index({ "hostApproval.status": 1, "hostApproval.deadline": 1 });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });
+bookingSchema.index({ "split.status": 1, "split.deadline": 1 });
+bookingSchema.index({ "modifications.paymentStatus": 1, "modifications.holdExpiresAt": 1 });
+bookingSchema.index({ "split.shares.email": 1 });
+
 export default mongoose.model("Booking", bookingSchema);
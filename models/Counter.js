@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// Named sequences (invoice numbers, ...). Incremented with $inc so concurrent
+// callers never get the same value.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+export const nextSequence = async (name) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+export default Counter;
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: String,
+
+  discountType: { type: String, enum: ["percent", "flat"], required: true },
+  value: { type: Number, required: true, min: 0 },
+  // Upper bound for percentage discounts
+  maxDiscount: { type: Number, min: 0 },
+  minSpend: { type: Number, default: 0, min: 0 },
+
+  validFrom: Date,
+  validUntil: Date,
+
+  // Empty means no restriction
+  usageLimit: { type: Number, min: 1 },
+  perUserLimit: { type: Number, min: 1 },
+  bookingTypes: [{ type: String, enum: ["place", "experience", "service"] }],
+  listings: [{ type: mongoose.Schema.Types.ObjectId }],
+
+  usedCount: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+export default mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// One row per booking that used a coupon. "released" rows (failed, expired or
+// canceled bookings) no longer count towards usage limits.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, unique: true },
+  code: String,
+  amount: Number,
+  status: { type: String, enum: ["applied", "released"], default: "applied" },
+  // Which of the user's perUserLimit uses this is (coupons with a per-user limit)
+  slot: { type: Number },
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+// Enforces perUserLimit: a slot is taken while its redemption is applied
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: "applied", slot: { $exists: true } } }
+);
+
+export default mongoose.model("CouponRedemption", couponRedemptionSchema);
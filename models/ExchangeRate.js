@@ -0,0 +1,11 @@
+import mongoose from "mongoose";
+
+// Admin-maintained rate table. rateToBase is the value of one unit of
+// `currency` in the base currency (INR), e.g. USD -> 83.2.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  rateToBase: { type: Number, required: true, min: 0 },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+export default mongoose.model("ExchangeRate", exchangeRateSchema);
@@ -28,8 +28,20 @@ const ExperienceSchema = new mongoose.Schema({
   duration: String,
   durationHours: Number,
   maxGuests: Number,
+  guestRules: {
+    petsAllowed: { type: Boolean, default: false },
+    maxPets: { type: Number, default: 2 },
+    childrenAllowed: { type: Boolean, default: true },
+    infantsAllowed: { type: Boolean, default: true },
+    infantsCountTowardCapacity: { type: Boolean, default: false },
+  },
   minAge: Number,
-  cancellationPolicy: String,
+  cancellationPolicy: {
+    type: String,
+    enum: ["flexible", "moderate", "strict"],
+    lowercase: true,
+    default: "moderate"
+  },
   languages: [String],
   amenities: Object,
   host: {
@@ -45,7 +57,12 @@ const ExperienceSchema = new mongoose.Schema({
   ratingBreakdown: Object,
   availability: [String],
   highlights: [String],
-  meetingPoint: String
+  meetingPoint: String,
+  // Unpublished experiences are hidden from search and cannot be booked
+  published: { type: Boolean, default: true },
+  unpublishedAt: Date,
+  unpublishedReason: String,
+  unpublishedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
 }, { timestamps: true });
 
 export default mongoose.model("Experience", ExperienceSchema);
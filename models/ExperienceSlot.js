@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// A scheduled run of an experience. seatsBooked is only ever changed with
+// conditional $inc updates (see utils/inventory.js) so it can't pass capacity.
+const experienceSlotSchema = new mongoose.Schema({
+  experience: { type: mongoose.Schema.Types.ObjectId, ref: "Experience", required: true },
+  date: { type: String, required: true }, // "YYYY-MM-DD"
+  startTime: { type: String, required: true }, // "HH:mm", local to the experience
+  capacity: { type: Number, required: true, min: 1 },
+  seatsBooked: { type: Number, default: 0, min: 0 },
+  status: { type: String, enum: ["open", "canceled"], default: "open" },
+}, { timestamps: true });
+
+experienceSlotSchema.index({ experience: 1, date: 1, startTime: 1 }, { unique: true });
+
+experienceSlotSchema.virtual("seatsLeft").get(function () {
+  return Math.max(0, this.capacity - this.seatsBooked);
+});
+
+experienceSlotSchema.set("toJSON", { virtuals: true });
+experienceSlotSchema.set("toObject", { virtuals: true });
+
+export default mongoose.model("ExperienceSlot", experienceSlotSchema);
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// Remembers the outcome of a mutating request sent with an Idempotency-Key
+// header so a retry gets the same response instead of running twice.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  // "anonymous" for routes without a logged-in user
+  scope: { type: String, required: true },
+  method: String,
+  path: String,
+  // Hash of method, path and body; a key reused for a different request is rejected
+  fingerprint: { type: String, required: true },
+  status: { type: String, enum: ["processing", "completed"], default: "processing" },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+const lineItemSchema = new mongoose.Schema({
+  description: String,
+  sac: String, // GST services accounting code
+  quantity: Number,
+  unit: String, // "night", "seat", "fee"
+  unitPrice: Number,
+  amount: Number, // tax inclusive, what the guest paid for this line
+  taxableValue: Number,
+  gstRate: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+}, { _id: false });
+
+// Tax invoice for a paid booking. Issued once per booking; the number comes
+// from a per-financial-year counter and is never reused. It is drawn after the
+// booking's invoice is claimed, so it is briefly missing on a new invoice.
+const invoiceSchema = new mongoose.Schema({
+  number: { type: String, unique: true, sparse: true },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  issuedAt: { type: Date, default: Date.now },
+
+  seller: {
+    name: String,
+    gstin: String,
+    address: String,
+    state: String,
+  },
+  buyer: {
+    name: String,
+    phone: String,
+    email: String,
+  },
+  placeOfSupply: String,
+  interState: Boolean,
+
+  lineItems: [lineItemSchema],
+  currency: { type: String, default: "INR" },
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  totalTax: Number,
+  total: Number,
+}, { timestamps: true });
+
+export default mongoose.model("Invoice", invoiceSchema);
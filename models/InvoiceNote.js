@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const lineItemSchema = new mongoose.Schema({
+  description: String,
+  sac: String,
+  quantity: Number,
+  unit: String,
+  unitPrice: Number,
+  amount: Number, // tax inclusive; negative on credit notes
+  taxableValue: Number,
+  gstRate: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+}, { _id: false });
+
+// Credit / debit note against a booking's tax invoice. The invoice itself is
+// never edited: refunds and price reductions get a credit note, extra charges
+// a debit note, each carrying only the difference. One note per source (the
+// refund or modification that caused it).
+const invoiceNoteSchema = new mongoose.Schema({
+  // Drawn after the note is claimed (see Invoice)
+  number: { type: String, unique: true, sparse: true },
+  kind: { type: String, enum: ["credit", "debit"], required: true },
+  invoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice", required: true },
+  invoiceNumber: String,
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  source: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true },
+  reason: String,
+  issuedAt: { type: Date, default: Date.now },
+
+  seller: {
+    name: String,
+    gstin: String,
+    address: String,
+    state: String,
+  },
+  buyer: {
+    name: String,
+    phone: String,
+    email: String,
+  },
+  placeOfSupply: String,
+  interState: Boolean,
+
+  lineItems: [lineItemSchema],
+  currency: { type: String, default: "INR" },
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  totalTax: Number,
+  total: Number,
+}, { timestamps: true });
+
+export default mongoose.model("InvoiceNote", invoiceNoteSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// Append-only money ledger. Host entries (account "host") make up a host's
+// balance; platform entries track the service fee we keep. Amounts are signed
+// from the account's point of view and in the booking's currency.
+const ledgerEntrySchema = new mongoose.Schema({
+  account: { type: String, enum: ["host", "platform"], required: true },
+  host: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  type: {
+    type: String,
+    enum: ["earning", "service_fee", "adjustment", "reversal", "payout"],
+    required: true,
+  },
+  amount: { type: Number, required: true },
+  currency: { type: String, default: "INR" },
+  description: String,
+
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", index: true },
+  refund: { type: mongoose.Schema.Types.ObjectId, ref: "Refund" },
+  payout: { type: mongoose.Schema.Types.ObjectId, ref: "Payout" },
+  // Booking.modifications entry an adjustment is for
+  modification: { type: mongoose.Schema.Types.ObjectId },
+
+  occurredAt: { type: Date, default: Date.now },
+}, { timestamps: true });
+
+ledgerEntrySchema.index({ host: 1, occurredAt: 1 });
+// A booking is credited once; a modification, refund and payout are recorded once
+ledgerEntrySchema.index(
+  { booking: 1, account: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: { $in: ["earning", "service_fee"] } } }
+);
+ledgerEntrySchema.index(
+  { refund: 1, account: 1 },
+  { unique: true, partialFilterExpression: { refund: { $exists: true } } }
+);
+ledgerEntrySchema.index(
+  { modification: 1, account: 1 },
+  { unique: true, partialFilterExpression: { modification: { $exists: true } } }
+);
+ledgerEntrySchema.index({ payout: 1 }, { unique: true, partialFilterExpression: { payout: { $exists: true } } });
+
+export default mongoose.model("LedgerEntry", ledgerEntrySchema);
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Every outgoing email is written here first and delivered from here, so a
+// transport outage only delays mail. Failed sends are retried with backoff
+// until maxAttempts.
+const outboxEmailSchema = new mongoose.Schema({
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  text: String,
+  html: String,
+  attachments: [{
+    filename: String,
+    contentType: String,
+    content: Buffer,
+    _id: false,
+  }],
+
+  template: String,
+  // Body carries a secret (verification / reset link): it is cleared once the
+  // message is sent or given up on
+  sensitive: { type: Boolean, default: false },
+  event: String,
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+
+  status: { type: String, enum: ["pending", "sending", "sent", "failed"], default: "pending" },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: String,
+  transport: String,
+  messageId: String,
+  sentAt: Date,
+}, { timestamps: true });
+
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+export default mongoose.model("OutboxEmail", outboxEmailSchema);
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Money sent to a host. Hosts request one against their available balance;
+// an admin marks it sent once the transfer is done, which debits the ledger.
+const payoutSchema = new mongoose.Schema({
+  host: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  currency: { type: String, default: "INR" },
+  status: { type: String, enum: ["pending", "sent"], default: "pending" },
+  note: String,
+
+  // Bank / UPI transfer reference entered by the admin
+  reference: String,
+  sentAt: Date,
+  markedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+export default mongoose.model("Payout", payoutSchema);
@@ -2,6 +2,11 @@ import mongoose from "mongoose";
 
 const placeSchema = new mongoose.Schema({
   owner: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // Unpublished listings are hidden from search and cannot be booked
+  published: { type: Boolean, default: true },
+  unpublishedAt: { type: Date },
+  unpublishedReason: { type: String },
+  unpublishedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   title: String,
   address: String,
   coordinates: {
@@ -15,7 +20,61 @@ const placeSchema = new mongoose.Schema({
   checkIn: String,
   checkOut: String,
   maxGuests: Number,
+  guestRules: {
+    petsAllowed: { type: Boolean, default: false },
+    maxPets: { type: Number, default: 2 },
+    childrenAllowed: { type: Boolean, default: true },
+    infantsAllowed: { type: Boolean, default: true },
+    infantsCountTowardCapacity: { type: Boolean, default: false },
+  },
   price: Number,
+  // Currency the host prices in; amounts below are all in it
+  currency: { type: String, default: "INR", uppercase: true },
+  // Optional Friday/Saturday night rate
+  weekendPrice: Number,
+  // Seasonal or single-date rates (start === end), both ends inclusive
+  priceOverrides: [{
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+    price: { type: Number, required: true },
+    label: String,
+  }],
+  // "request": guests send a request the host must accept within
+  // requestResponseHours before the booking can go ahead
+  bookingMode: { type: String, enum: ["instant", "request"], default: "instant" },
+  requestResponseHours: { type: Number, default: 24, min: 1 },
+  cancellationPolicy: {
+    type: String,
+    enum: ["flexible", "moderate", "strict"],
+    lowercase: true,
+    default: "moderate",
+  },
+  // Long stays: weekly applies from 7 nights, monthly (instead) from 28
+  weeklyDiscountPercent: { type: Number, min: 0, max: 100, default: 0 },
+  monthlyDiscountPercent: { type: Number, min: 0, max: 100, default: 0 },
+  // One-time charge per stay
+  cleaningFee: { type: Number, min: 0, default: 0 },
+  // Per night, for each counted guest above baseOccupancy
+  extraGuestFee: { type: Number, min: 0, default: 0 },
+  baseOccupancy: { type: Number, min: 1 },
+  // Host-closed ranges, start and end both inclusive ("YYYY-MM-DD")
+  blockedDates: [{
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+    reason: String,
+    // "host" for manual blocks, "ical" / "ical-upload" for imported events
+    source: { type: String, default: "host" },
+    feed: { type: mongoose.Schema.Types.ObjectId },
+    uid: String,
+  }],
+  // External calendars (other platforms) synced into blockedDates
+  icalFeeds: [{
+    name: String,
+    url: { type: String, required: true },
+    lastSyncedAt: Date,
+    lastError: String,
+    lastConflicts: Number,
+  }],
 }, { timestamps: true }); 
 
 
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// One document per reserved night of a place. The unique (place, date) index is
+// what actually prevents double bookings: two concurrent inserts for the same
+// night cannot both succeed.
+const placeNightSchema = new mongoose.Schema({
+  place: { type: mongoose.Schema.Types.ObjectId, ref: "Place", required: true },
+  date: { type: String, required: true }, // "YYYY-MM-DD"
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, index: true },
+  // Set while the booking is an unpaid hold; MongoDB drops the night after it
+  expiresAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+placeNightSchema.index({ place: 1, date: 1 }, { unique: true });
+placeNightSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("PlaceNight", placeNightSchema);
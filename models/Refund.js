@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// One record per refund request. Acts as the refund ledger: amounts are never
+// edited after processing, and every state change is appended to history.
+const refundSchema = new mongoose.Schema({
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  // Owner of the booked place, if any; lets hosts list their refund queue
+  host: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+
+  amount: { type: Number, required: true },
+  currency: { type: String, default: "INR" },
+  reason: { type: String },
+  // "cancellation" refunds close the booking; "modification" ones are partial;
+  // "split" gives back shares of a split payment that was never completed;
+  // "duplicate" gives back a second payment for something already paid
+  kind: { type: String, enum: ["cancellation", "modification", "split", "duplicate"], default: "cancellation" },
+  // Split payments only: refund just this share instead of all paid shares
+  share: { type: mongoose.Schema.Types.ObjectId },
+  // Refund this payment rather than the booking's (duplicate payments)
+  paymentId: { type: String },
+
+  status: {
+    type: String,
+    enum: ["requested", "approved", "rejected", "processed"],
+    default: "requested",
+  },
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  decidedAt: { type: Date },
+  decisionNote: { type: String },
+
+  // Gateway side
+  gateway: { type: String },
+  gatewayRefundId: { type: String },
+  // One gateway refund per payment (several for split payments)
+  parts: [{
+    paymentId: String,
+    amount: Number,
+    gatewayRefundId: String,
+    _id: false,
+  }],
+  processedAt: { type: Date },
+  // Set while a request is sending the refund to the gateway
+  processingAt: { type: Date },
+  lastError: { type: String },
+
+  history: [{
+    status: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    note: String,
+    at: { type: Date, default: Date.now },
+    _id: false,
+  }],
+}, { timestamps: true });
+
+export default mongoose.model("Refund", refundSchema);
@@ -4,8 +4,15 @@ const serviceSchema = new mongoose.Schema({
   title: String,
   description: String,
   price: Number,
+  currency: { type: String, default: "INR", uppercase: true },
   rating: Number,
-  image: String
+  image: String,
+  cancellationPolicy: {
+    type: String,
+    enum: ["flexible", "moderate", "strict"],
+    lowercase: true,
+    default: "flexible",
+  },
 });
 
 export const Service = mongoose.model("Service", serviceSchema);
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// One login on one device. The refresh token itself is never stored, only its
+// hash; each refresh replaces it, so an old token coming back means it was
+// copied and the session is revoked. The token replaced last is still
+// accepted for a few seconds, for parallel refreshes from the same browser.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  tokenHash: { type: String, required: true },
+  previousTokenHash: String,
+  rotatedAt: Date,
+
+  userAgent: String,
+  ip: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+
+  revokedAt: Date,
+  revokedReason: { type: String, enum: ["logout", "revoked", "reuse"] },
+}, { timestamps: true });
+
+// Expired sessions are dropped by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Session", sessionSchema);
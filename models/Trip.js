@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// Several bookings (any mix of places, experiences and services) checked out
+// together with a single payment. The bookings keep their own status; the trip
+// tracks the shared order.
+const tripSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  name: String,
+  bookings: [{ type: mongoose.Schema.Types.ObjectId, ref: "Booking" }],
+
+  status: {
+    type: String,
+    // "partial": paid, but some bookings lost their hold and were refunded
+    enum: ["pending", "confirmed", "partial", "failed", "expired"],
+    default: "pending",
+  },
+  currency: { type: String, default: "INR" },
+  totalAmount: { type: Number, required: true },
+  holdExpiresAt: Date,
+
+  paymentGateway: String,
+  paymentOrderId: { type: String, index: true },
+  paymentId: String,
+  paidAt: Date,
+}, { timestamps: true });
+
+export default mongoose.model("Trip", tripSchema);
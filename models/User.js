@@ -4,7 +4,15 @@ const UserSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, unique: true, required: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ["host", "customer"], default: "customer" },
+  role: { type: String, enum: ["host", "customer", "admin"], default: "customer" },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  passwordChangedAt: { type: Date },
+  // Suspended accounts cannot log in; their sessions are revoked
+  suspended: { type: Boolean, default: false },
+  suspendedAt: { type: Date },
+  suspendedReason: { type: String },
+  suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   wishlist: [
   {
     type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,44 @@
+import express from "express";
+import {
+  listUsers,
+  suspendUser,
+  unsuspendUser,
+  changeUserRole,
+  unpublishPlace,
+  publishPlace,
+  unpublishExperience,
+  publishExperience,
+  listAllBookings,
+  createService,
+  updateService,
+  deleteService,
+} from "../controllers/adminController.js";
+import { requireAuth } from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/role.js";
+
+// Mounted at /api/admin
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Users
+router.get("/users", requirePermission("users:manage"), listUsers);
+router.post("/users/:id/suspend", requirePermission("users:manage"), suspendUser);
+router.post("/users/:id/unsuspend", requirePermission("users:manage"), unsuspendUser);
+router.patch("/users/:id/role", requirePermission("users:manage"), changeUserRole);
+
+// Listing moderation
+router.post("/places/:id/unpublish", requirePermission("listings:moderate"), unpublishPlace);
+router.post("/places/:id/publish", requirePermission("listings:moderate"), publishPlace);
+router.post("/experiences/:id/unpublish", requirePermission("listings:moderate"), unpublishExperience);
+router.post("/experiences/:id/publish", requirePermission("listings:moderate"), publishExperience);
+
+// Bookings
+router.get("/bookings", requirePermission("bookings:view-all"), listAllBookings);
+
+// Services
+router.post("/services", requirePermission("services:manage"), createService);
+router.put("/services/:id", requirePermission("services:manage"), updateService);
+router.delete("/services/:id", requirePermission("services:manage"), deleteService);
+
+export default router;
@@ -1,15 +1,44 @@
 import express from "express";
-import { register, login, profile, logout, stats, becomeHost } from "../controllers/authController.js";
+import {
+  register,
+  login,
+  refresh,
+  profile,
+  logout,
+  stats,
+  becomeHost,
+  listSessions,
+  revokeOneSession,
+  revokeAllSessions,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+} from "../controllers/authController.js";
 import { requireAuth } from "../middlewares/auth.js";
 
 const router = express.Router();
 
 router.post("/register", register);
 router.post("/login", login);
+router.post("/auth/refresh", refresh);
+
+// Email verification & passwords
+router.post("/auth/verify-email", verifyEmail);
+router.post("/auth/verify-email/resend", requireAuth, resendVerification);
+router.post("/auth/forgot-password", forgotPassword);
+router.post("/auth/reset-password", resetPassword);
+router.post("/auth/change-password", requireAuth, changePassword);
 router.get("/profile", requireAuth, profile);
 router.post("/logout", logout);
 router.get("/profile/stats", requireAuth, stats);
 router.post("/users/become-host", requireAuth, becomeHost);
 
+// Logged-in devices
+router.get("/sessions", requireAuth, listSessions);
+router.delete("/sessions", requireAuth, revokeAllSessions);
+router.delete("/sessions/:id", requireAuth, revokeOneSession);
+
 
 export default router;
\ No newline at end of file
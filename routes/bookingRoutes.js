@@ -1,30 +1,47 @@
 import express from "express";
 import {
   createBooking,
+  getQuote,
   getUserBookings,
   getBookingById,
   cancelBooking,
+  modifyBooking,
+  previewCancellation,
   requestRefund,
   initiatePayment,
+  verifyPayment,
+  paymentWebhook,
   sendReceiptEmail,
+  getBookingInvoice,
+  getBookingInvoiceNotes,
   verifyBooking,
   getItemDetails
 } from "../controllers/bookingController.js";
-import { requireAuth } from "../middlewares/auth.js";
+import { requireAuth, optionalAuth } from "../middlewares/auth.js";
+import { idempotent } from "../middlewares/idempotency.js";
 
 const router = express.Router();
 
 router.get("/bookings/verify", verifyBooking);
 
+// Pricing
+router.get("/quote", optionalAuth, getQuote);
+
 // Payments & receipts
-router.post("/payments/initiate", initiatePayment);
-router.post("/bookings/send-receipt", sendReceiptEmail);
+router.post("/payments/initiate", requireAuth, idempotent, initiatePayment);
+router.post("/payments/verify", requireAuth, idempotent, verifyPayment);
+router.post("/payments/webhook", paymentWebhook);
+router.post("/bookings/send-receipt", requireAuth, sendReceiptEmail);
 
 // Booking CRUD
-router.post("/bookings", requireAuth, createBooking);
+router.post("/bookings", requireAuth, idempotent, createBooking);
 router.get("/bookings", requireAuth, getUserBookings);
  // must come BEFORE /:id
 router.get("/bookings/:id", requireAuth, getBookingById);
+router.get("/bookings/:id/invoice", requireAuth, getBookingInvoice);
+router.get("/bookings/:id/invoice/notes", requireAuth, getBookingInvoiceNotes);
+router.get("/bookings/:id/cancellation-preview", requireAuth, previewCancellation);
+router.patch("/bookings/:id", requireAuth, modifyBooking);
 router.delete("/bookings/:id", requireAuth, cancelBooking);
 router.post("/bookings/:id/refund", requireAuth, requestRefund);
 
@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  createCoupon,
+  listCoupons,
+  updateCoupon,
+  deactivateCoupon,
+  validateCoupon,
+} from "../controllers/couponController.js";
+import { requireAuth } from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/role.js";
+
+const router = express.Router();
+
+// Guests
+router.post("/coupons/validate", requireAuth, validateCoupon);
+
+// Admin management
+router.get("/coupons", requireAuth, requirePermission("coupons:manage"), listCoupons);
+router.post("/coupons", requireAuth, requirePermission("coupons:manage"), createCoupon);
+router.patch("/coupons/:id", requireAuth, requirePermission("coupons:manage"), updateCoupon);
+router.delete("/coupons/:id", requireAuth, requirePermission("coupons:manage"), deactivateCoupon);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from "express";
+import { listRates, setRate, removeRate } from "../controllers/currencyController.js";
+import { requireAuth } from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/role.js";
+
+const router = express.Router();
+
+router.get("/currencies", listRates);
+router.put("/currencies/:code", requireAuth, requirePermission("currencies:manage"), setRate);
+router.delete("/currencies/:code", requireAuth, requirePermission("currencies:manage"), removeRate);
+
+export default router;
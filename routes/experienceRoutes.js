@@ -3,12 +3,24 @@ import {
   createExperience,
   getAllExperiences,
   getExperienceById,
+  getExperienceSlots,
+  createExperienceSlots,
+  cancelExperienceSlot,
 } from "../controllers/experienceController.js";
+import { requireAuth } from "../middlewares/auth.js";
+import { requireAdmin } from "../middlewares/role.js";
 
 const router = express.Router();
 
-router.post("/", createExperience);
+// Experiences have no owning account, so only admins create them and manage
+// their slots
+router.post("/", requireAuth, requireAdmin, createExperience);
 router.get("/", getAllExperiences);
 router.get("/:id", getExperienceById);
 
+// Scheduled slots
+router.get("/:id/slots", getExperienceSlots);
+router.post("/:id/slots", requireAuth, requireAdmin, createExperienceSlots);
+router.delete("/:id/slots/:slotId", requireAuth, requireAdmin, cancelExperienceSlot);
+
 export default router;
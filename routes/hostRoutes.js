@@ -0,0 +1,31 @@
+import express from "express";
+import {
+  getHostBookings,
+  getHostBookingById,
+  acceptBookingRequest,
+  declineBookingRequest,
+  getEarnings,
+  getStatementMonths,
+  getMonthlyStatement,
+  getHostPayouts,
+  requestPayout,
+} from "../controllers/hostController.js";
+import { requireAuth } from "../middlewares/auth.js";
+import { requireHost } from "../middlewares/role.js";
+
+const router = express.Router();
+
+// Reservations inbox
+router.get("/host/bookings", requireAuth, requireHost, getHostBookings);
+router.get("/host/bookings/:id", requireAuth, requireHost, getHostBookingById);
+router.post("/host/bookings/:id/accept", requireAuth, requireHost, acceptBookingRequest);
+router.post("/host/bookings/:id/decline", requireAuth, requireHost, declineBookingRequest);
+
+// Earnings ledger and payouts
+router.get("/host/earnings", requireAuth, requireHost, getEarnings);
+router.get("/host/statements", requireAuth, requireHost, getStatementMonths);
+router.get("/host/statements/:month", requireAuth, requireHost, getMonthlyStatement);
+router.get("/host/payouts", requireAuth, requireHost, getHostPayouts);
+router.post("/host/payouts", requireAuth, requireHost, requestPayout);
+
+export default router;
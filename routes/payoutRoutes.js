@@ -0,0 +1,11 @@
+import express from "express";
+import { listPayouts, markPayoutSent } from "../controllers/payoutController.js";
+import { requireAuth } from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/role.js";
+
+const router = express.Router();
+
+router.get("/payouts", requireAuth, requirePermission("payouts:manage"), listPayouts);
+router.post("/payouts/:id/sent", requireAuth, requirePermission("payouts:manage"), markPayoutSent);
+
+export default router;
@@ -1,9 +1,13 @@
 import express from "express";
 import { 
-  createPlace, editPlace, getAllPlaces, getPlaceById, getUserPlaces , deletePlace
+  createPlace, editPlace, getAllPlaces, getPlaceById, getUserPlaces , deletePlace, getPlaceAvailability,
+  addBlockedDates, removeBlockedDates, updatePlacePricing,
+  exportPlaceCalendar, importPlaceCalendar, getCalendarFeeds, addCalendarFeed,
+  syncCalendarFeed, removeCalendarFeed
 } from "../controllers/placeController.js";
 import { requireAuth } from "../middlewares/auth.js";
 import { requireHost } from "../middlewares/role.js";
+import { icsMiddleware } from "../middlewares/multer.js";
 import {
   toggleWishlist,
   getWishlist,
@@ -14,10 +18,22 @@ const router = express.Router();
 // Only hosts can create or edit their own places
 router.post("/places", requireAuth, requireHost, createPlace);
 router.put("/places/:id", requireAuth, requireHost, editPlace);
+router.post("/places/:id/blocked-dates", requireAuth, requireHost, addBlockedDates);
+router.delete("/places/:id/blocked-dates/:blockId", requireAuth, requireHost, removeBlockedDates);
+router.put("/places/:id/pricing", requireAuth, requireHost, updatePlacePricing);
+
+// Calendar sync (iCal)
+router.get("/places/:id/calendar.ics", exportPlaceCalendar);
+router.post("/places/:id/ical-import", requireAuth, requireHost, icsMiddleware.single("file"), importPlaceCalendar);
+router.get("/places/:id/ical-feeds", requireAuth, requireHost, getCalendarFeeds);
+router.post("/places/:id/ical-feeds", requireAuth, requireHost, addCalendarFeed);
+router.post("/places/:id/ical-feeds/:feedId/sync", requireAuth, requireHost, syncCalendarFeed);
+router.delete("/places/:id/ical-feeds/:feedId", requireAuth, requireHost, removeCalendarFeed);
 
 // Public routes
 router.get("/places", getAllPlaces);
 router.get("/places/:id", getPlaceById);
+router.get("/places/:id/availability", getPlaceAvailability);
 
 // Only hosts can view their own places
 router.get("/user-places", requireAuth, requireHost, getUserPlaces);
@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  listRefunds,
+  getRefund,
+  approveRefundRequest,
+  rejectRefundRequest,
+  retryRefundProcessing,
+} from "../controllers/refundController.js";
+import { requireAuth } from "../middlewares/auth.js";
+import { requireHostOrAdmin } from "../middlewares/role.js";
+
+const router = express.Router();
+
+// Hosts see refunds for their places, admins see everything
+router.get("/refunds", requireAuth, requireHostOrAdmin, listRefunds);
+router.get("/refunds/:id", requireAuth, requireHostOrAdmin, getRefund);
+router.post("/refunds/:id/approve", requireAuth, requireHostOrAdmin, approveRefundRequest);
+router.post("/refunds/:id/reject", requireAuth, requireHostOrAdmin, rejectRefundRequest);
+router.post("/refunds/:id/process", requireAuth, requireHostOrAdmin, retryRefundProcessing);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  splitBooking,
+  getSplit,
+  getMyShares,
+  initiateSharePayment,
+  verifySharePayment,
+} from "../controllers/splitController.js";
+import { requireAuth } from "../middlewares/auth.js";
+import { idempotent } from "../middlewares/idempotency.js";
+
+const router = express.Router();
+
+// Shares the logged-in user was invited to pay
+router.get("/split-shares", requireAuth, getMyShares);
+
+router.post("/bookings/:id/split", requireAuth, splitBooking);
+router.get("/bookings/:id/split", requireAuth, getSplit);
+router.post("/bookings/:id/split/shares/:shareId/payments/initiate", requireAuth, idempotent, initiateSharePayment);
+router.post("/bookings/:id/split/shares/:shareId/payments/verify", requireAuth, idempotent, verifySharePayment);
+
+export default router;
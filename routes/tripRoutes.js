@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  createTrip,
+  getUserTrips,
+  getTripById,
+  initiateTripPayment,
+  verifyTripPayment,
+} from "../controllers/tripController.js";
+import { requireAuth } from "../middlewares/auth.js";
+import { idempotent } from "../middlewares/idempotency.js";
+
+const router = express.Router();
+
+router.post("/trips", requireAuth, idempotent, createTrip);
+router.get("/trips", requireAuth, getUserTrips);
+router.get("/trips/:id", requireAuth, getTripById);
+
+// One payment for every booking in the trip
+router.post("/trips/:id/payments/initiate", requireAuth, idempotent, initiateTripPayment);
+router.post("/trips/:id/payments/verify", requireAuth, idempotent, verifyTripPayment);
+
+export default router;
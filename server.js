@@ -13,10 +13,30 @@ import bookingRoutes from "./routes/bookingRoutes.js";
 import uploadRoutes from "./routes/uploadRoutes.js";
 import experienceRoutes from "./routes/experienceRoutes.js";
 import servicesRoute from "./routes/servicesRoutes.js";
+import refundRoutes from "./routes/refundRoutes.js";
+import hostRoutes from "./routes/hostRoutes.js";
+import couponRoutes from "./routes/couponRoutes.js";
+import currencyRoutes from "./routes/currencyRoutes.js";
+import tripRoutes from "./routes/tripRoutes.js";
+import payoutRoutes from "./routes/payoutRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import splitRoutes from "./routes/splitRoutes.js";
+import { every } from "./utils/scheduler.js";
+import { expireOverdueRequests } from "./utils/bookingRequests.js";
+import { syncAllFeeds } from "./utils/ical.js";
+import { expireStaleHolds } from "./utils/holds.js";
+import { expireStaleModifications } from "./utils/bookingModifications.js";
+import { expireStaleTrips } from "./utils/trips.js";
+import { closeLapsedSplits } from "./utils/splitPayments.js";
+import { processOutbox } from "./utils/mailer.js";
+import { registerMailNotifications } from "./utils/notifications.js";
 
 dotenv.config();
 const app = express();
 
+// Booking events -> guest / host emails (delivered via the mail outbox)
+registerMailNotifications();
+
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
   api_key: process.env.CLOUDINARY_API_KEY,
@@ -30,11 +50,17 @@ const allowedOrigins = [
 
 
 // Middleware
-app.use(express.json());
+// Keep the raw body around for payment webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(cookieParser());
 app.use(cors({
   origin: allowedOrigins,
   credentials: true,
+  exposedHeaders: ["Idempotent-Replayed"],
 }));
 
 // Static folder for uploads (if needed)
@@ -89,6 +115,14 @@ app.use("/api", authRoutes);
 app.use("/api", placeRoutes);
 app.use("/api", bookingRoutes);
 app.use("/api", uploadRoutes);
+app.use("/api", refundRoutes);
+app.use("/api", hostRoutes);
+app.use("/api", couponRoutes);
+app.use("/api", currencyRoutes);
+app.use("/api", tripRoutes);
+app.use("/api", payoutRoutes);
+app.use("/api", splitRoutes);
+app.use("/api/admin", adminRoutes);
 app.use("/api/experiences", experienceRoutes);
 app.use("/api/", servicesRoute);
 
@@ -103,6 +137,16 @@ async function startServer() {
   try {
     await mongoose.connect(process.env.MONGO_URL);
     console.log("MongoDB connected");
+
+    // Background housekeeping
+    every(60 * 1000, "expire-booking-requests", expireOverdueRequests);
+    every(60 * 1000, "expire-booking-holds", expireStaleHolds);
+    every(60 * 1000, "expire-booking-changes", expireStaleModifications);
+    every(60 * 1000, "expire-trips", expireStaleTrips);
+    every(60 * 1000, "close-split-payments", closeLapsedSplits);
+    every(60 * 1000, "mail-outbox", processOutbox);
+    every(30 * 60 * 1000, "sync-ical-feeds", syncAllFeeds);
+
     const PORT = process.env.PORT || 4000;
     app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
   } catch (err) {
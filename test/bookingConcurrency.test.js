@@ -0,0 +1,96 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Place from "../models/Place.js";
+import PlaceNight from "../models/PlaceNight.js";
+import { createBooking } from "../controllers/bookingController.js";
+import { reserveNights } from "../utils/inventory.js";
+import { startDatabase, stopDatabase, clearDatabase } from "./helpers/db.js";
+import { callController } from "./helpers/http.js";
+
+// Double-booking prevention under load: many guests asking for the same
+// nights at once must leave exactly one of them holding the dates.
+
+const PARALLEL = 10;
+
+let place;
+
+const dayFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+before(async () => {
+  await startDatabase();
+  // The unique (place, date) index is the lock; it has to exist before the race
+  await PlaceNight.init();
+});
+
+after(stopDatabase);
+
+beforeEach(async () => {
+  await clearDatabase();
+  place = await Place.create({ title: "Test Villa", address: "Hyderabad, Telangana", price: 2000, maxGuests: 4 });
+});
+
+describe("reserveNights", () => {
+  test("only one of many parallel claims on the same nights succeeds", async () => {
+    const checkIn = dayFromNow(10);
+    const checkOut = dayFromNow(13);
+
+    const results = await Promise.all(
+      Array.from({ length: PARALLEL }, () =>
+        reserveNights(place._id, new mongoose.Types.ObjectId(), checkIn, checkOut)
+      )
+    );
+
+    assert.equal(results.filter(Boolean).length, 1);
+    const nights = await PlaceNight.find({ place: place._id });
+    assert.equal(nights.length, 3);
+    assert.equal(new Set(nights.map((n) => n.booking.toString())).size, 1);
+  });
+
+  test("overlapping stays cannot share a night", async () => {
+    const results = await Promise.all([
+      reserveNights(place._id, new mongoose.Types.ObjectId(), dayFromNow(10), dayFromNow(13)),
+      reserveNights(place._id, new mongoose.Types.ObjectId(), dayFromNow(12), dayFromNow(15)),
+    ]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+  });
+});
+
+describe("createBooking", () => {
+  test("parallel requests for the same dates create exactly one booking", async () => {
+    const body = {
+      type: "place",
+      itemId: place._id.toString(),
+      checkIn: dayFromNow(20),
+      checkOut: dayFromNow(22),
+      numberOfGuests: 2,
+      name: "Test Guest",
+      phone: "9876543210",
+      paymentMethod: "card",
+    };
+
+    const responses = await Promise.all(
+      Array.from({ length: PARALLEL }, () =>
+        callController(createBooking, {
+          body: { ...body },
+          user: { id: new mongoose.Types.ObjectId().toString() },
+        })
+      )
+    );
+
+    const created = responses.filter((r) => r.statusCode === 201);
+    assert.equal(created.length, 1);
+    for (const res of responses.filter((r) => r.statusCode !== 201)) {
+      // Lost the race either at the overlap check or at the night claim
+      assert.ok([400, 409].includes(res.statusCode), `unexpected status ${res.statusCode}`);
+      assert.equal(res.body.success, false);
+    }
+
+    assert.equal(await Booking.countDocuments({ place: place._id }), 1);
+    const nights = await PlaceNight.find({ place: place._id });
+    assert.equal(nights.length, 2);
+    assert.ok(nights.every((n) => n.booking.equals(created[0].body.bookingId)));
+  });
+});
@@ -0,0 +1,147 @@
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import Booking from "../models/Booking.js";
+import InvoiceNote from "../models/InvoiceNote.js";
+import LedgerEntry from "../models/LedgerEntry.js";
+import PlaceNight from "../models/PlaceNight.js";
+import Refund from "../models/Refund.js";
+import { modifyBooking } from "../controllers/bookingController.js";
+import { settleModificationPayment } from "../utils/bookingModifications.js";
+import { reserveNights } from "../utils/inventory.js";
+import { recordBookingEarning } from "../utils/ledger.js";
+import { createFakeGateway, setPaymentGateway } from "../utils/paymentGateway.js";
+import { startDatabase, stopDatabase, clearDatabase } from "./helpers/db.js";
+import { callController } from "./helpers/http.js";
+import { createPlace, createPlaceBooking, createUser, dayFromNow } from "./helpers/fixtures.js";
+
+// A paid two-night stay extended by a night: the change waits for its
+// extra charge and the booking only moves once that is captured.
+
+let guest;
+let booking;
+
+const extendStay = () =>
+  callController(modifyBooking, {
+    params: { id: booking._id.toString() },
+    body: { checkOut: dayFromNow(23) },
+    user: { id: guest._id.toString() },
+  });
+
+const pendingChange = async () => {
+  const current = await Booking.findById(booking._id);
+  return { current, modification: current.modifications.find((m) => m.paymentStatus === "pending") };
+};
+
+before(async () => {
+  await startDatabase();
+  await Promise.all([PlaceNight.init(), LedgerEntry.init(), InvoiceNote.init()]);
+});
+
+after(stopDatabase);
+
+beforeEach(async () => {
+  await clearDatabase();
+  setPaymentGateway(createFakeGateway());
+
+  const host = await createUser({ role: "host" });
+  guest = await createUser();
+  const place = await createPlace({ owner: host._id });
+  booking = await createPlaceBooking({
+    place,
+    user: guest,
+    status: "confirmed",
+    paymentId: "pay_test_1",
+    paidAt: new Date(),
+  });
+  await reserveNights(place._id, booking._id, booking.checkIn, booking.checkOut);
+  await recordBookingEarning(booking);
+});
+
+afterEach(() => setPaymentGateway(null));
+
+describe("modifyBooking", () => {
+  test("a dearer change on a paid booking waits for its charge", async () => {
+    const res = await extendStay();
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.priceDelta > 0);
+    assert.match(res.body.payment.orderId, /^order_fake_/);
+
+    const { current, modification } = await pendingChange();
+    assert.equal(current.checkOut, dayFromNow(22));
+    assert.equal(current.totalAmount, 4200);
+    assert.ok(modification);
+
+    const extra = await PlaceNight.findOne({ booking: booking._id, date: dayFromNow(22) });
+    assert.ok(extra.expiresAt);
+  });
+
+  test("a second change is refused while one waits for payment", async () => {
+    await extendStay();
+    const res = await extendStay();
+
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+describe("settleModificationPayment", () => {
+  test("a captured charge applies the change and pins the new night", async () => {
+    await extendStay();
+    const { current, modification } = await pendingChange();
+
+    const settled = await settleModificationPayment(current, modification, true, "pay_mod_1");
+
+    assert.equal(settled.checkOut, dayFromNow(23));
+    assert.equal(settled.totalAmount, modification.next.totalAmount);
+    assert.equal(await PlaceNight.countDocuments({ booking: booking._id, expiresAt: null }), 3);
+    assert.equal(await LedgerEntry.countDocuments({ modification: modification._id }), 2);
+  });
+
+  test("a failed charge drops the held night and leaves the booking alone", async () => {
+    await extendStay();
+    const { current, modification } = await pendingChange();
+
+    await settleModificationPayment(current, modification, false);
+
+    const stored = await Booking.findById(booking._id);
+    assert.equal(stored.checkOut, dayFromNow(22));
+    assert.equal(stored.modifications.id(modification._id).paymentStatus, "failed");
+    assert.deepEqual(
+      (await PlaceNight.find({ booking: booking._id })).map((n) => n.date).sort(),
+      [dayFromNow(20), dayFromNow(21)]
+    );
+    assert.equal(await LedgerEntry.countDocuments({ modification: modification._id }), 0);
+  });
+
+  test("the callback and the webhook settling together apply the change once", async () => {
+    await extendStay();
+    const { current, modification } = await pendingChange();
+
+    const results = await Promise.all([
+      settleModificationPayment(current, modification, true, "pay_mod_1"),
+      settleModificationPayment(current, modification, true, "pay_mod_1"),
+    ]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(await LedgerEntry.countDocuments({ modification: modification._id }), 2);
+    assert.equal(await InvoiceNote.countDocuments({ source: modification._id }), 1);
+    assert.equal(await Refund.countDocuments({ booking: booking._id }), 0);
+  });
+
+  test("a capture arriving after the change lapsed is refunded once", async () => {
+    await extendStay();
+    const { current, modification } = await pendingChange();
+    await settleModificationPayment(current, modification, false);
+
+    await Promise.all([
+      settleModificationPayment(current, modification, true, "pay_mod_late"),
+      settleModificationPayment(current, modification, true, "pay_mod_late"),
+    ]);
+
+    const refunds = await Refund.find({ booking: booking._id });
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].kind, "duplicate");
+    assert.equal(refunds[0].paymentId, "pay_mod_late");
+    assert.equal((await Booking.findById(booking._id)).checkOut, dayFromNow(22));
+  });
+});
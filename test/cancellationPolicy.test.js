@@ -0,0 +1,68 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { calculateRefund, normalizePolicy, DEFAULT_POLICY } from "../utils/cancellationPolicy.js";
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date("2026-03-01T00:00:00Z");
+
+// A place stay starting `hours` after `now`: 2000 booked + 200 fee
+const stayIn = (hours, fields = {}) => ({
+  type: "place",
+  checkIn: new Date(now.getTime() + hours * HOUR),
+  price: 2000,
+  serviceFee: 200,
+  totalAmount: 2200,
+  status: "confirmed",
+  ...fields,
+});
+
+describe("normalizePolicy", () => {
+  test("keeps known names", () => {
+    assert.equal(normalizePolicy("strict"), "strict");
+    assert.equal(normalizePolicy(" Flexible "), "flexible");
+  });
+
+  test("maps legacy free text onto a policy", () => {
+    assert.equal(normalizePolicy("Free cancellation up to 24 hours before"), "flexible");
+    assert.equal(normalizePolicy("Non-refundable"), "strict");
+    assert.equal(normalizePolicy("whatever the host typed"), DEFAULT_POLICY);
+    assert.equal(normalizePolicy(undefined), DEFAULT_POLICY);
+  });
+});
+
+describe("calculateRefund", () => {
+  test("flexible refunds everything, fee included, before the cutoff", () => {
+    const refund = calculateRefund(stayIn(48, { cancellationPolicy: "flexible" }), now);
+
+    assert.equal(refund.refundPercent, 100);
+    assert.equal(refund.refundableAmount, 2200);
+  });
+
+  test("moderate refunds half the price and keeps the fee inside five days", () => {
+    const refund = calculateRefund(stayIn(3 * 24, { cancellationPolicy: "moderate" }), now);
+
+    assert.equal(refund.refundPercent, 50);
+    assert.equal(refund.refundableAmount, 1000);
+  });
+
+  test("strict refunds nothing inside seven days", () => {
+    const refund = calculateRefund(stayIn(6 * 24, { cancellationPolicy: "strict" }), now);
+
+    assert.equal(refund.refundPercent, 0);
+    assert.equal(refund.refundableAmount, 0);
+  });
+
+  test("nothing comes back once the stay has started", () => {
+    const refund = calculateRefund(stayIn(-5, { cancellationPolicy: "flexible" }), now);
+
+    assert.equal(refund.refundPercent, 0);
+    assert.equal(refund.hoursUntilStart, 0);
+  });
+
+  test("unpaid bookings have nothing to refund", () => {
+    const refund = calculateRefund(stayIn(30 * 24, { cancellationPolicy: "flexible", status: "pending" }), now);
+
+    assert.equal(refund.refundPercent, 0);
+    assert.equal(refund.refundableAmount, 0);
+  });
+});
@@ -0,0 +1,89 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Coupon from "../models/Coupon.js";
+import CouponRedemption from "../models/CouponRedemption.js";
+import { applyCoupon, findApplicableCoupon, redeemCoupon, releaseCoupon } from "../utils/coupons.js";
+import { startDatabase, stopDatabase, clearDatabase } from "./helpers/db.js";
+
+const PARALLEL = 10;
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const redeemMany = (coupon, userId = () => newId()) =>
+  Promise.all(
+    Array.from({ length: PARALLEL }, () =>
+      redeemCoupon(coupon, { userId: userId(), bookingId: newId(), amount: 100 })
+    )
+  );
+
+before(async () => {
+  await startDatabase();
+  // The unique indexes enforce the per-user limit; build them before racing
+  await Promise.all([Coupon.init(), CouponRedemption.init()]);
+});
+
+after(stopDatabase);
+
+beforeEach(clearDatabase);
+
+describe("applyCoupon", () => {
+  test("percent discounts are capped by maxDiscount", () => {
+    const coupon = { discountType: "percent", value: 20, maxDiscount: 500 };
+
+    assert.deepEqual(applyCoupon(coupon, 1000), { amount: 200, error: null });
+    assert.deepEqual(applyCoupon(coupon, 5000), { amount: 500, error: null });
+  });
+
+  test("flat discounts convert from the base currency and never exceed the subtotal", () => {
+    const coupon = { discountType: "flat", value: 1000 };
+
+    assert.equal(applyCoupon(coupon, 5000, 0.012).amount, 12);
+    assert.equal(applyCoupon(coupon, 300).amount, 300);
+  });
+
+  test("subtotals under the minimum spend get nothing", () => {
+    const result = applyCoupon({ discountType: "flat", value: 100, minSpend: 2000 }, 1500);
+
+    assert.equal(result.amount, 0);
+    assert.match(result.error, /Minimum spend/);
+  });
+});
+
+describe("redeemCoupon", () => {
+  test("a redemption counts against the coupon until it is released", async () => {
+    const coupon = await Coupon.create({ code: "welcome", discountType: "flat", value: 100, usageLimit: 1 });
+    const bookingId = newId();
+
+    assert.equal(await redeemCoupon(coupon, { userId: newId(), bookingId, amount: 100 }), null);
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 1);
+    assert.equal((await findApplicableCoupon({ code: "WELCOME", type: "place" })).error, "This coupon has been fully redeemed");
+
+    await releaseCoupon(bookingId);
+    await releaseCoupon(bookingId);
+
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 0);
+    assert.ok((await findApplicableCoupon({ code: "WELCOME", type: "place" })).coupon);
+  });
+
+  test("parallel redemptions never go past the usage limit", async () => {
+    const coupon = await Coupon.create({ code: "LIMITED", discountType: "flat", value: 100, usageLimit: 3 });
+
+    const results = await redeemMany(coupon);
+
+    assert.equal(results.filter((error) => error === null).length, 3);
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 3);
+    assert.equal(await CouponRedemption.countDocuments({ coupon: coupon._id }), 3);
+  });
+
+  test("parallel redemptions by one user never go past the per-user limit", async () => {
+    const coupon = await Coupon.create({ code: "ONCE", discountType: "flat", value: 100, perUserLimit: 1 });
+    const userId = newId();
+
+    const results = await redeemMany(coupon, () => userId);
+
+    assert.equal(results.filter((error) => error === null).length, 1);
+    assert.ok(results.filter(Boolean).every((error) => error === "You have already used this coupon"));
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 1);
+  });
+});
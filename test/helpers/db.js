@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+// Throwaway mongod for the tests. mongodb-memory-server downloads the binary
+// on first use (into node_modules/.cache); on machines without access to
+// fastdl.mongodb.org, point it at an installed one instead:
+//
+//   MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test
+
+let server;
+
+export const startDatabase = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+};
+
+export const stopDatabase = async () => {
+  await mongoose.disconnect();
+  await server?.stop();
+};
+
+export const clearDatabase = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
@@ -0,0 +1,40 @@
+import Booking from "../../models/Booking.js";
+import Place from "../../models/Place.js";
+import User from "../../models/User.js";
+
+let seq = 0;
+
+export const dayFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+export const createUser = (fields = {}) => {
+  seq += 1;
+  return User.create({ name: `Test User ${seq}`, email: `user${seq}@example.com`, password: "not-a-hash", ...fields });
+};
+
+export const createPlace = (fields = {}) =>
+  Place.create({ title: "Test Villa", address: "Hyderabad, Telangana", price: 2000, maxGuests: 4, ...fields });
+
+// Two nights at the fixture place's rate plus the service fee
+export const createPlaceBooking = ({ place, user, ...fields }) => {
+  seq += 1;
+  return Booking.create({
+    type: "place",
+    place: place._id,
+    user: user._id,
+    checkIn: dayFromNow(20),
+    checkOut: dayFromNow(22),
+    numberOfGuests: 2,
+    guests: { adults: 2 },
+    name: "Test Guest",
+    phone: "9876543210",
+    price: 4000,
+    nightlyRates: [
+      { date: dayFromNow(20), price: 2000 },
+      { date: dayFromNow(21), price: 2000 },
+    ],
+    serviceFee: 200,
+    totalAmount: 4200,
+    transactionId: `txn_test_${seq}`,
+    ...fields,
+  });
+};
@@ -0,0 +1,16 @@
+// Minimal Express stand-ins: enough for a controller to answer once
+export const callController = async (handler, { body = {}, user, params = {}, query = {} } = {}) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  await handler({ body, user, params, query, headers: {} }, res);
+  return res;
+};
@@ -0,0 +1,82 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import LedgerEntry from "../models/LedgerEntry.js";
+import Payout from "../models/Payout.js";
+import { hostBalance, recordBookingEarning, recordPayout, requestHostPayout } from "../utils/ledger.js";
+import { startDatabase, stopDatabase, clearDatabase } from "./helpers/db.js";
+import { createPlace, createPlaceBooking, createUser } from "./helpers/fixtures.js";
+
+const PARALLEL = 5;
+
+let host;
+let booking;
+
+const balanceOf = async (hostId) => (await hostBalance(hostId)).find((b) => b.currency === "INR");
+
+before(async () => {
+  await startDatabase();
+  // Recording each booking, refund and payout once rests on these indexes
+  await LedgerEntry.init();
+});
+
+after(stopDatabase);
+
+beforeEach(async () => {
+  await clearDatabase();
+  host = await createUser({ role: "host" });
+  const place = await createPlace({ owner: host._id });
+  booking = await createPlaceBooking({ place, user: await createUser(), status: "confirmed" });
+});
+
+describe("recordBookingEarning", () => {
+  test("credits the host with the subtotal and the platform with the fee", async () => {
+    await recordBookingEarning(booking);
+
+    assert.deepEqual(await balanceOf(host._id), { currency: "INR", balance: 4000, pendingPayouts: 0, available: 4000 });
+    const fee = await LedgerEntry.findOne({ booking: booking._id, account: "platform" });
+    assert.equal(fee.amount, 200);
+  });
+
+  test("a booking confirmed twice at once is credited once", async () => {
+    await Promise.all([recordBookingEarning(booking), recordBookingEarning(booking), recordBookingEarning(booking)]);
+
+    assert.equal(await LedgerEntry.countDocuments({ booking: booking._id }), 2);
+    assert.equal((await balanceOf(host._id)).balance, 4000);
+  });
+});
+
+describe("payouts", () => {
+  beforeEach(() => recordBookingEarning(booking));
+
+  test("a requested payout is held back until it is sent", async () => {
+    const { payout } = await requestHostPayout(host._id, { currency: "INR", amount: 1500 });
+
+    assert.deepEqual(await balanceOf(host._id), { currency: "INR", balance: 4000, pendingPayouts: 1500, available: 2500 });
+
+    payout.status = "sent";
+    payout.sentAt = new Date();
+    await payout.save();
+    await recordPayout(payout);
+    await recordPayout(payout);
+
+    assert.deepEqual(await balanceOf(host._id), { currency: "INR", balance: 2500, pendingPayouts: 0, available: 2500 });
+  });
+
+  test("asking for more than is available is refused", async () => {
+    const result = await requestHostPayout(host._id, { currency: "INR", amount: 5000 });
+
+    assert.equal(result.error, "Amount exceeds available balance");
+    assert.equal(result.available, 4000);
+  });
+
+  test("parallel requests never pay out more than the balance", async () => {
+    const results = await Promise.all(
+      Array.from({ length: PARALLEL }, () => requestHostPayout(host._id, { currency: "INR", amount: 1500 }))
+    );
+
+    const requested = results.filter((r) => r.payout).length * 1500;
+    assert.ok(requested <= 4000);
+    assert.equal(await Payout.countDocuments({ host: host._id }), requested / 1500);
+    assert.ok((await balanceOf(host._id)).available >= 0);
+  });
+});
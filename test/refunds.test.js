@@ -0,0 +1,94 @@
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import LedgerEntry from "../models/LedgerEntry.js";
+import Refund from "../models/Refund.js";
+import { recordBookingEarning } from "../utils/ledger.js";
+import { createFakeGateway, setPaymentGateway } from "../utils/paymentGateway.js";
+import {
+  REFUND_STATUS,
+  claimRefundApproval,
+  claimRefundRetry,
+  openRefund,
+  processRefund,
+} from "../utils/refunds.js";
+import { startDatabase, stopDatabase, clearDatabase } from "./helpers/db.js";
+import { createPlace, createPlaceBooking, createUser } from "./helpers/fixtures.js";
+
+const PARALLEL = 5;
+
+let host;
+let booking;
+let refund;
+
+before(async () => {
+  await startDatabase();
+  await LedgerEntry.init();
+});
+
+after(stopDatabase);
+
+beforeEach(async () => {
+  await clearDatabase();
+  setPaymentGateway(createFakeGateway());
+
+  host = await createUser({ role: "host" });
+  const guest = await createUser();
+  const place = await createPlace({ owner: host._id });
+  booking = await createPlaceBooking({ place, user: guest, status: "confirmed", paymentId: "pay_test_1" });
+  await recordBookingEarning(booking);
+
+  booking.status = "canceled";
+  await booking.save();
+  refund = await openRefund({ booking, amount: 4200, reason: "Canceled by guest", hostId: host._id, by: guest._id });
+});
+
+afterEach(() => setPaymentGateway(null));
+
+describe("processRefund", () => {
+  test("an approved refund goes to the gateway and is reversed in the ledger", async () => {
+    const claimed = await claimRefundApproval({ _id: refund._id }, host._id, "ok");
+    assert.ok(await processRefund(claimed, booking, host._id));
+
+    const stored = await Refund.findById(refund._id);
+    assert.equal(stored.status, REFUND_STATUS.PROCESSED);
+    assert.match(stored.gatewayRefundId, /^rfnd_fake_/);
+    assert.equal(stored.processingAt, undefined);
+    assert.equal(booking.status, "refunded");
+
+    const reversals = await LedgerEntry.find({ refund: refund._id });
+    assert.equal(reversals.reduce((sum, e) => sum + e.amount, 0), -4200);
+  });
+
+  test("only one of several parallel approvals claims the refund", async () => {
+    const claims = await Promise.all(
+      Array.from({ length: PARALLEL }, () => claimRefundApproval({ _id: refund._id }, host._id))
+    );
+
+    assert.equal(claims.filter(Boolean).length, 1);
+  });
+
+  test("a gateway failure leaves the refund approved for a retry", async () => {
+    setPaymentGateway({
+      ...createFakeGateway(),
+      async refund() {
+        throw new Error("Gateway unavailable");
+      },
+    });
+
+    const claimed = await claimRefundApproval({ _id: refund._id }, host._id);
+    assert.equal(await processRefund(claimed, booking, host._id), false);
+
+    const failed = await Refund.findById(refund._id);
+    assert.equal(failed.status, REFUND_STATUS.APPROVED);
+    assert.equal(failed.lastError, "Gateway unavailable");
+    assert.equal(await LedgerEntry.countDocuments({ refund: refund._id }), 0);
+
+    setPaymentGateway(createFakeGateway());
+    const retries = await Promise.all([claimRefundRetry({ _id: refund._id }), claimRefundRetry({ _id: refund._id })]);
+    const retry = retries.find(Boolean);
+    assert.equal(retries.filter(Boolean).length, 1);
+
+    assert.ok(await processRefund(retry, booking, host._id));
+    assert.equal((await Refund.findById(refund._id)).status, REFUND_STATUS.PROCESSED);
+  });
+});
@@ -0,0 +1,120 @@
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import Booking from "../models/Booking.js";
+import LedgerEntry from "../models/LedgerEntry.js";
+import PlaceNight from "../models/PlaceNight.js";
+import Refund from "../models/Refund.js";
+import { reserveNights } from "../utils/inventory.js";
+import { createFakeGateway, setPaymentGateway } from "../utils/paymentGateway.js";
+import { closeLapsedSplits, recordSharePayment, startSplit } from "../utils/splitPayments.js";
+import { startDatabase, stopDatabase, clearDatabase } from "./helpers/db.js";
+import { createPlace, createPlaceBooking, createUser } from "./helpers/fixtures.js";
+
+const HOUR = 60 * 60 * 1000;
+
+let booker;
+let booking;
+
+// Splits the 4200 booking between the booker and `friends` more people
+const split = async (friends) => {
+  const participants = Array.from({ length: friends }, (_, i) => ({ email: `friend${i + 1}@example.com` }));
+  const result = await startSplit(booking, { bookerId: booker._id, participants, deadlineHours: 1 });
+  assert.ok(result.booking, result.error);
+  return result.booking.split.shares;
+};
+
+before(async () => {
+  await startDatabase();
+  await Promise.all([PlaceNight.init(), LedgerEntry.init()]);
+});
+
+after(stopDatabase);
+
+beforeEach(async () => {
+  await clearDatabase();
+  setPaymentGateway(createFakeGateway());
+
+  const host = await createUser({ role: "host" });
+  booker = await createUser();
+  const place = await createPlace({ owner: host._id });
+  const holdExpiresAt = new Date(Date.now() + HOUR);
+  booking = await createPlaceBooking({ place, user: booker, holdExpiresAt });
+  await reserveNights(place._id, booking._id, booking.checkIn, booking.checkOut, { expiresAt: holdExpiresAt });
+});
+
+afterEach(() => setPaymentGateway(null));
+
+describe("recordSharePayment", () => {
+  test("the last share paid confirms the booking", async () => {
+    const [mine, theirs] = await split(1);
+    assert.deepEqual([mine.amount, theirs.amount], [2100, 2100]);
+
+    const first = await recordSharePayment(booking, mine, "pay_share_1");
+    assert.ok(first.accepted);
+    assert.equal(first.booking.status, "pending");
+
+    const last = await recordSharePayment(booking, theirs, "pay_share_2");
+    assert.ok(last.accepted);
+
+    const stored = await Booking.findById(booking._id);
+    assert.equal(stored.status, "confirmed");
+    assert.equal(stored.split.status, "completed");
+    assert.equal(await PlaceNight.countDocuments({ booking: booking._id, expiresAt: null }), 2);
+    assert.equal(await LedgerEntry.countDocuments({ booking: booking._id }), 2);
+  });
+
+  test("the last shares paid together confirm the booking once", async () => {
+    const [mine, ...theirs] = await split(2);
+    await recordSharePayment(booking, mine, "pay_share_1");
+
+    const results = await Promise.all(
+      theirs.map((share, i) => recordSharePayment(booking, share, `pay_share_${i + 2}`))
+    );
+
+    assert.ok(results.every((r) => r.accepted));
+    assert.equal((await Booking.findById(booking._id)).status, "confirmed");
+    assert.equal(await LedgerEntry.countDocuments({ booking: booking._id }), 2);
+    assert.equal(await Refund.countDocuments({ booking: booking._id }), 0);
+  });
+
+  test("a share paid twice at once keeps one payment and refunds the other", async () => {
+    const [mine] = await split(1);
+
+    const results = await Promise.all([
+      recordSharePayment(booking, mine, "pay_share_a"),
+      recordSharePayment(booking, mine, "pay_share_b"),
+    ]);
+
+    assert.equal(results.filter((r) => r.accepted).length, 1);
+    const refunds = await Refund.find({ booking: booking._id });
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].kind, "duplicate");
+    assert.equal(refunds[0].status, "processed");
+
+    const kept = (await Booking.findById(booking._id)).split.shares.id(mine._id).paymentId;
+    assert.notEqual(refunds[0].paymentId, kept);
+  });
+});
+
+describe("closeLapsedSplits", () => {
+  test("a split past its deadline releases the dates and refunds what was paid", async () => {
+    const [mine, theirs] = await split(1);
+    await recordSharePayment(booking, mine, "pay_share_1");
+
+    assert.equal(await closeLapsedSplits(new Date(Date.now() + 2 * HOUR)), 1);
+
+    const stored = await Booking.findById(booking._id);
+    assert.equal(stored.status, "expired");
+    assert.equal(stored.split.status, "failed");
+    assert.equal(await PlaceNight.countDocuments({ booking: booking._id }), 0);
+
+    const refund = await Refund.findOne({ booking: booking._id, kind: "split" });
+    assert.equal(refund.amount, 2100);
+    assert.ok(refund.share.equals(mine._id));
+
+    // Paid after the close: not counted, given back
+    const late = await recordSharePayment(booking, theirs, "pay_share_2");
+    assert.equal(late.accepted, false);
+    assert.equal(await Refund.countDocuments({ booking: booking._id, kind: "split" }), 2);
+  });
+});
@@ -0,0 +1,40 @@
+import crypto from "crypto";
+import AuthToken from "../models/AuthToken.js";
+
+const ONE_MINUTE = 1000 * 60;
+
+// How long each kind of emailed link stays valid
+export const TOKEN_TTL_MINUTES = {
+  "verify-email": 24 * 60,
+  "reset-password": 60,
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Creates a fresh token and retires any unused ones for the same purpose, so
+// only the newest link works
+export const issueAuthToken = async (userId, purpose) => {
+  await AuthToken.updateMany({ user: userId, purpose, usedAt: null }, { $set: { usedAt: new Date() } });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * ONE_MINUTE),
+  });
+  return token;
+};
+
+// Marks the token used and returns it, or null if it is unknown, expired or
+// already used. Atomic, so a link cannot be redeemed twice.
+export const consumeAuthToken = (token, purpose) =>
+  AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(String(token || "")), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+// Links in emails point at the web client
+export const clientUrl = (path, token) =>
+  `${process.env.CLIENT_URL || "http://localhost:5173"}${path}?token=${encodeURIComponent(token)}`;
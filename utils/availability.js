@@ -0,0 +1,96 @@
+import Booking from "../models/Booking.js";
+import PlaceNight from "../models/PlaceNight.js";
+
+const ONE_DAY = 1000 * 60 * 60 * 24;
+
+// Statuses that hold a place's nights
+export const BLOCKING_STATUSES = ["confirmed"];
+
+// ------------------- DATE HELPERS -------------------
+// All calendar math is done on UTC "YYYY-MM-DD" keys so a booking made from
+// any timezone lands on the same nights.
+export const toDateKey = (value) => {
+  const d = value instanceof Date ? value : new Date(value);
+  if (isNaN(d)) return null;
+  return d.toISOString().slice(0, 10);
+};
+
+export const parseDateKey = (key) => new Date(`${key}T00:00:00.000Z`);
+
+export const addDays = (key, days) => toDateKey(parseDateKey(key).getTime() + days * ONE_DAY);
+
+export const countNights = (from, to) =>
+  Math.round((parseDateKey(toDateKey(to)) - parseDateKey(toDateKey(from))) / ONE_DAY);
+
+// Nights between check-in (inclusive) and check-out (exclusive)
+export const eachNight = (from, to) => {
+  const start = toDateKey(from);
+  const end = toDateKey(to);
+  const nights = [];
+  for (let key = start; key < end; key = addDays(key, 1)) nights.push(key);
+  return nights;
+};
+
+// ------------------- BOOKINGS -------------------
+export const findOverlappingBooking = (placeId, checkIn, checkOut, { excludeId } = {}) => {
+  const query = {
+    place: placeId,
+    status: { $in: BLOCKING_STATUSES },
+    $or: [
+      { checkIn: { $lt: checkOut, $gte: checkIn } },
+      { checkOut: { $lte: checkOut, $gt: checkIn } },
+      { checkIn: { $lte: checkIn }, checkOut: { $gte: checkOut } },
+    ],
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Booking.findOne(query);
+};
+
+// ------------------- HOST BLOCKS -------------------
+// First blocked range touching any night of the stay, if any
+export const findBlockedRange = (place, checkIn, checkOut) => {
+  const start = toDateKey(checkIn);
+  const end = toDateKey(checkOut);
+  return (place.blockedDates || []).find((range) => range.start < end && range.end >= start);
+};
+
+// ------------------- CALENDAR -------------------
+// Day-by-day view of [from, to): each night is "booked", "blocked" or "free".
+// Bookings win over host blocks when both cover the same night.
+export const getPlaceCalendar = async (place, from, to) => {
+  const nights = eachNight(from, to);
+  const status = new Map(nights.map((key) => [key, "free"]));
+
+  for (const range of place.blockedDates || []) {
+    // Blocked ranges are inclusive of their end date
+    for (const key of eachNight(range.start, addDays(toDateKey(range.end), 1))) {
+      if (status.has(key)) status.set(key, "blocked");
+    }
+  }
+
+  const bookings = await Booking.find({
+    place: place._id,
+    status: { $in: BLOCKING_STATUSES },
+    checkIn: { $lt: toDateKey(to) },
+    checkOut: { $gt: toDateKey(from) },
+  }).select("checkIn checkOut");
+
+  for (const booking of bookings) {
+    for (const key of eachNight(booking.checkIn, booking.checkOut)) {
+      if (status.has(key)) status.set(key, "booked");
+    }
+  }
+
+  // Nights held by bookings that are not confirmed yet (e.g. host requests)
+  const held = await PlaceNight.find({
+    place: place._id,
+    date: { $gte: toDateKey(from), $lt: toDateKey(to) },
+    $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  }).select("date");
+
+  for (const night of held) {
+    if (status.has(night.date)) status.set(night.date, "booked");
+  }
+
+  return nights.map((date) => ({ date, status: status.get(date) }));
+};
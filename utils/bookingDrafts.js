@@ -0,0 +1,217 @@
+import mongoose from "mongoose";
+import ExperienceSlot from "../models/ExperienceSlot.js";
+import { findOverlappingBooking, findBlockedRange, toDateKey } from "./availability.js";
+import { findListing, isPublished, LISTING_TYPES } from "./listings.js";
+import { priceBooking } from "./pricing.js";
+import { resolveFx } from "./currency.js";
+import { findApplicableCoupon, redeemCoupon, releaseCoupon } from "./coupons.js";
+import { reserveNights, releaseNights, reserveSeats, releaseSeats } from "./inventory.js";
+import { normalizeGuests, validateGuests, countGuests } from "./guests.js";
+import { requestDeadline } from "./bookingRequests.js";
+import { holdExpiry } from "./holds.js";
+import { normalizePolicy } from "./cancellationPolicy.js";
+
+// A draft is a validated, priced booking that hasn't been written yet. Single
+// bookings and trips go through the same steps:
+//   prepareBooking -> claimDraft -> Booking.create(draft.bookingData)
+// and call releaseDraft if anything after the claim fails.
+// Failures come back as { status, error, ...details } for the controller.
+
+const fail = (status, error, details = {}) => ({ status, error, ...details });
+
+const LABELS = { place: "Place", experience: "Experience", service: "Service" };
+
+// Name and phone of the guest making the booking; returns a message or null
+export const validateContact = ({ name, phone }) => {
+  // Indian format: 10 digits, starting 6-9
+  if (!/^[6-9]\d{9}$/.test(phone)) {
+    return "Invalid phone number format. Must be a 10-digit valid Indian number.";
+  }
+  // Min 2 chars, alphabetic
+  if (!/^[A-Za-z\s]{2,}$/.test(name)) {
+    return "Name must contain only letters and be at least 2 characters long.";
+  }
+  return null;
+};
+
+// Resolves the slot a guest picked: by id, or by date (+ start time when the
+// experience runs more than once that day)
+export async function findExperienceSlot(experienceId, { slotId, date, startTime }) {
+  if (slotId) {
+    if (!mongoose.Types.ObjectId.isValid(slotId)) return null;
+    return ExperienceSlot.findOne({ _id: slotId, experience: experienceId, status: "open" });
+  }
+
+  const query = { experience: experienceId, date: toDateKey(date), status: "open" };
+  if (startTime) query.startTime = startTime;
+
+  const slots = await ExperienceSlot.find(query).limit(2);
+  return slots.length === 1 ? slots[0] : null;
+}
+
+// ------------------- PREPARE -------------------
+// Validates one item (dates, availability, guests, coupon) and prices it.
+// Returns { draft } or a failure. Nothing is reserved yet.
+export const prepareBooking = async (input, { userId, currency, holdExpiresAt = holdExpiry(), allowRequests = true } = {}) => {
+  const { type, itemId, checkIn, checkOut, date, slotId, startTime, couponCode } = input;
+
+  if (!type || !itemId || !(input.guests || input.numberOfGuests)) {
+    return fail(400, "Missing required fields");
+  }
+  if (!LISTING_TYPES.includes(type)) return fail(400, "Invalid booking type");
+
+  // Guest breakdown (legacy numberOfGuests is read as adults)
+  const guests = normalizeGuests(input);
+
+  if (type === "place") {
+    if (!checkIn || !checkOut) return fail(400, "Check-in and check-out dates are required");
+
+    const checkInDate = new Date(checkIn);
+    const checkOutDate = new Date(checkOut);
+    if (isNaN(checkInDate) || isNaN(checkOutDate)) return fail(400, "Invalid check-in/check-out date format");
+    if (checkOutDate <= checkInDate) return fail(400, "Check-out date must be after check-in date");
+  }
+  if (type === "experience" && !slotId && !date) return fail(400, "Slot or date required");
+  if (type === "service" && !date) return fail(400, "Date required");
+
+  const item = await findListing(type, itemId);
+  if (!item) return fail(404, `${LABELS[type]} not found`);
+  if (!isPublished(item)) return fail(400, "This listing is not available for booking");
+
+  let slot;
+  if (type === "place") {
+    if (await findOverlappingBooking(itemId, checkIn, checkOut)) {
+      return fail(400, "Place already booked for selected dates");
+    }
+    if (findBlockedRange(item, checkIn, checkOut)) {
+      return fail(400, "Place is unavailable for selected dates");
+    }
+    if (!allowRequests && item.bookingMode === "request") {
+      return fail(400, "This place needs host approval and must be booked on its own");
+    }
+  } else if (type === "experience") {
+    slot = await findExperienceSlot(itemId, { slotId, date, startTime });
+    if (!slot) return fail(404, "No scheduled slot for the selected date/time");
+  }
+
+  const guestError = validateGuests(guests, item);
+  if (guestError) return fail(400, guestError);
+  const numberOfGuests = countGuests(guests, item);
+
+  if (slot && slot.seatsLeft < numberOfGuests) {
+    return fail(409, "Not enough seats left in this slot", { seatsLeft: slot.seatsLeft });
+  }
+
+  // Charged in the listing's own currency unless another one was picked
+  const fx = await resolveFx(item.currency, currency);
+  if (!fx) return fail(400, "Unsupported currency");
+
+  let coupon;
+  if (couponCode) {
+    const check = await findApplicableCoupon({ code: couponCode, userId, type, itemId });
+    if (check.error) return fail(400, check.error);
+    coupon = check.coupon;
+  }
+
+  const {
+    price, nightlyRates, extraGuestFee, cleaningFee, stayDiscount, discount, couponError, serviceFee, totalAmount,
+  } = priceBooking({ type, item, checkIn, checkOut, numberOfGuests, coupon, fx });
+  if (couponError) return fail(400, couponError);
+
+  const bookingData = {
+    _id: new mongoose.Types.ObjectId(),
+    type,
+    numberOfGuests,
+    guests,
+    name: input.name,
+    phone: input.phone,
+    price,
+    extraGuestFee,
+    cleaningFee,
+    stayDiscount: stayDiscount || undefined,
+    discount: coupon ? { code: coupon.code, coupon: coupon._id, amount: discount } : undefined,
+    serviceFee,
+    totalAmount,
+    currency: fx.currency,
+    listingCurrency: fx.listingCurrency,
+    exchangeRate: fx.rate,
+    baseExchangeRate: fx.baseRate,
+    address: item.address || "",
+    paymentMethod: input.paymentMethod,
+    cancellationPolicy: normalizePolicy(item.cancellationPolicy),
+    // Unpaid until initiatePayment/verifyPayment; dates are held meanwhile
+    status: "pending",
+    holdExpiresAt,
+    user: userId || null,
+    transactionId: input.transactionId || `TXN-${Date.now()}-${Math.floor(Math.random() * 100000)}`,
+  };
+
+  if (type === "place") {
+    bookingData.place = itemId;
+    bookingData.checkIn = checkIn;
+    bookingData.checkOut = checkOut;
+    bookingData.nightlyRates = nightlyRates;
+
+    // Request-to-book: nights are held while the host decides
+    // (the payment hold starts once the host accepts)
+    if (item.bookingMode === "request") {
+      bookingData.holdExpiresAt = undefined;
+      bookingData.hostApproval = {
+        status: "awaiting",
+        deadline: requestDeadline(item),
+      };
+    }
+  } else {
+    bookingData.item = itemId;
+    bookingData.date = slot ? slot.date : date;
+    bookingData.itemModel = type === "experience" ? "Experience" : "Service";
+  }
+
+  if (slot) {
+    bookingData.slot = slot._id;
+    bookingData.startTime = slot.startTime;
+    bookingData.seatsHeld = numberOfGuests;
+  }
+
+  return { draft: { bookingData, item, slot, coupon } };
+};
+
+// ------------------- CLAIM / RELEASE -------------------
+// Takes the nights, seats and coupon use before the booking is written, so
+// concurrent requests for the same dates cannot both get through. Returns a
+// failure (with everything already taken given back) or null.
+export const claimDraft = async (draft) => {
+  const { bookingData, slot, coupon } = draft;
+
+  if (bookingData.type === "place") {
+    const reserved = await reserveNights(bookingData.place, bookingData._id, bookingData.checkIn, bookingData.checkOut, {
+      expiresAt: bookingData.holdExpiresAt,
+    });
+    if (!reserved) return fail(409, "Place already booked for selected dates");
+  }
+
+  if (slot && !(await reserveSeats(slot._id, bookingData.seatsHeld))) {
+    if (bookingData.type === "place") await releaseNights(bookingData._id);
+    return fail(409, "This slot is full");
+  }
+
+  if (coupon) {
+    const couponError = await redeemCoupon(coupon, {
+      userId: bookingData.user,
+      bookingId: bookingData._id,
+      amount: bookingData.discount.amount,
+    });
+    if (couponError) {
+      await releaseDraft({ ...draft, coupon: undefined });
+      return fail(409, couponError);
+    }
+  }
+
+  return null;
+};
+
+export const releaseDraft = async ({ bookingData, slot, coupon }) => {
+  if (bookingData.type === "place") await releaseNights(bookingData._id);
+  if (slot) await releaseSeats(slot._id, bookingData.seatsHeld);
+  if (coupon) await releaseCoupon(bookingData._id);
+};
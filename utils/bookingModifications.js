@@ -0,0 +1,171 @@
+import Booking from "../models/Booking.js";
+import PlaceNight from "../models/PlaceNight.js";
+import { eachNight } from "./availability.js";
+import {
+  moveNights, setNightsExpiry, holdsAllNights, dropHeldNights, releaseSeats,
+} from "./inventory.js";
+import { recordModification } from "./ledger.js";
+import { amendInvoiceForModification } from "./invoices.js";
+import { openRefund, approveRefund, processRefund } from "./refunds.js";
+
+// Price increases on paid bookings wait for their charge: the new nights/seats
+// are held next to the ones the booking already has, and the repriced booking
+// is kept on the modification (`change`) until the charge is captured. A
+// declined or abandoned charge only lets that hold go, so a booking never
+// ends up on a dearer stay it hasn't paid for.
+
+// ------------------- APPLY -------------------
+// Writes a modification's dates, guests and prices onto the booking (caller
+// saves; seats are the caller's business)
+export const applyModification = (booking, modification) => {
+  const { next, change } = modification;
+  const { pricing } = change;
+
+  booking.checkIn = next.checkIn;
+  booking.checkOut = next.checkOut;
+  booking.date = next.date;
+  booking.guests = change.guests;
+  booking.numberOfGuests = next.numberOfGuests;
+  if (next.slot) {
+    booking.slot = next.slot;
+    booking.startTime = change.startTime;
+  }
+
+  booking.price = pricing.price;
+  booking.extraGuestFee = pricing.extraGuestFee;
+  booking.cleaningFee = pricing.cleaningFee;
+  booking.stayDiscount = pricing.stayDiscount || undefined;
+  if (booking.discount?.coupon) booking.discount.amount = pricing.discount;
+  booking.serviceFee = pricing.serviceFee;
+  booking.totalAmount = pricing.totalAmount;
+  if (pricing.nightlyRates) booking.nightlyRates = pricing.nightlyRates;
+};
+
+// Seats taken for a pending change become the booking's own
+const takeHeldSeats = async (booking, modification) => {
+  const { previous, next, change } = modification;
+  if (!next.slot) return;
+
+  if (previous.slot && previous.slot.equals(next.slot)) {
+    const held = booking.seatsHeld + (change.seats || 0);
+    if (held > next.numberOfGuests) await releaseSeats(next.slot, held - next.numberOfGuests);
+  } else if (booking.slot && booking.seatsHeld > 0) {
+    await releaseSeats(booking.slot, booking.seatsHeld);
+  }
+  booking.seatsHeld = next.numberOfGuests;
+};
+
+// The held nights are kept for good. They carry an expiry, so one may have
+// lapsed and been taken before the charge came in: pin what is left, then
+// claim whatever is missing.
+const takeHeldNights = async (booking, modification) => {
+  const { previous, next } = modification;
+  await setNightsExpiry(booking._id, null);
+
+  const taken = await moveNights(booking.place, booking._id, next.checkIn, next.checkOut)
+    && await holdsAllNights(booking._id, next.checkIn, next.checkOut);
+  if (!taken) {
+    await PlaceNight.deleteMany({
+      booking: booking._id,
+      date: { $nin: eachNight(previous.checkIn, previous.checkOut) },
+    });
+  }
+  return taken;
+};
+
+// Lets go of what a pending change was holding
+const releaseHold = async (booking, modification) => {
+  if (booking.type === "place") await dropHeldNights(booking._id);
+  if (modification.change?.seats > 0) await releaseSeats(modification.next.slot, modification.change.seats);
+};
+
+// ------------------- SETTLE -------------------
+// Outcome of a change's extra charge. Claimed out of "pending" so the client
+// callback, the webhook and the expiry sweeper settle it once; a capture for a
+// change that was already dropped is refunded. Returns the updated booking,
+// or null if the change had been settled already.
+export const settleModificationPayment = async (booking, modification, paid, paymentId) => {
+  const update = { "modifications.$.paymentStatus": paid ? "paid" : "failed" };
+  if (paid && paymentId) update["modifications.$.paymentId"] = paymentId;
+
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: booking._id, modifications: { $elemMatch: { _id: modification._id, paymentStatus: "pending" } } },
+    { $set: update },
+    { new: true }
+  );
+  if (!claimed) {
+    if (paid) await refundLateCharge(booking, modification, paymentId);
+    return null;
+  }
+
+  const settled = claimed.modifications.id(modification._id);
+  if (!paid) {
+    await releaseHold(claimed, settled);
+    return claimed;
+  }
+
+  if (claimed.type === "place" && !(await takeHeldNights(claimed, settled))) {
+    settled.paymentStatus = "failed";
+    settled.paymentId = undefined;
+    await claimed.save();
+    await refundLateCharge(claimed, settled, paymentId);
+    return claimed;
+  }
+
+  await takeHeldSeats(claimed, settled);
+  applyModification(claimed, settled);
+  await claimed.save();
+  await recordModification(claimed, settled);
+  await amendInvoiceForModification(claimed, settled);
+  return claimed;
+};
+
+// Gives back a charge captured for a change that no longer applies, once per
+// payment: recording the payment on the dropped change is the claim
+const refundLateCharge = async (booking, modification, paymentId) => {
+  if (!paymentId) return;
+
+  const current = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      modifications: { $elemMatch: { _id: modification._id, paymentStatus: "failed", paymentId: null } },
+    },
+    { $set: { "modifications.$.paymentId": paymentId } },
+    { new: true }
+  );
+  if (!current) return;
+
+  const refund = await openRefund({
+    booking: current,
+    amount: modification.priceDelta,
+    reason: "The booking change lapsed before its payment completed",
+    kind: "duplicate",
+    paymentId,
+  });
+  approveRefund(refund, undefined, "Automatic refund for a lapsed booking change");
+  await refund.save();
+  await processRefund(refund, current, undefined, { partial: true });
+};
+
+// Drops a pending change, e.g. when the booking is canceled under it
+export const abandonPendingModification = async (booking) => {
+  const pending = booking.modifications?.find((m) => m.paymentStatus === "pending");
+  if (pending) await settleModificationPayment(booking, pending, false);
+};
+
+// ------------------- SWEEPER -------------------
+// Changes whose charge was not paid in time let their hold go
+export const expireStaleModifications = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    modifications: { $elemMatch: { paymentStatus: "pending", holdExpiresAt: { $lte: now } } },
+  });
+
+  let expired = 0;
+  for (const booking of bookings) {
+    for (const modification of booking.modifications) {
+      if (modification.paymentStatus !== "pending" || !(modification.holdExpiresAt <= now)) continue;
+      if (await settleModificationPayment(booking, modification, false)) expired += 1;
+    }
+  }
+  return expired;
+};
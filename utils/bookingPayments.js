@@ -0,0 +1,86 @@
+import Booking from "../models/Booking.js";
+import { releaseBookingInventory } from "./inventory.js";
+import { openRefund, approveRefund, processRefund } from "./refunds.js";
+import { isHoldLapsed, reclaimHold, endHold } from "./holds.js";
+import { EVENTS, emitEvent } from "./events.js";
+import { recordBookingEarning } from "./ledger.js";
+
+// Outcomes of a booking's gateway payment, shared by single bookings and trips
+
+const UNPAID = ["pending", "expired"];
+
+// Copies the outcome onto the caller's copy of the booking, which it answers from
+const syncPaymentState = (booking, current) => {
+  booking.set({
+    status: current.status,
+    paymentId: current.paymentId,
+    transactionId: current.transactionId,
+    paidAt: current.paidAt,
+    holdExpiresAt: current.holdExpiresAt,
+    refund: current.refund,
+  });
+};
+
+// Confirms a booking once its payment is verified. The booking is claimed out
+// of its unpaid state first, so verify, the webhook and a trip checkout racing
+// on the same payment confirm it (and credit the host) once, and the hold
+// sweeper can no longer expire it. A hold that lapsed while the guest was
+// paying is claimed again if the dates are still free; otherwise the booking
+// fails and the payment is refunded in full. Returns whether the booking ends
+// up confirmed.
+export const confirmPaidBooking = async (booking, paymentId) => {
+  const paid = { status: "confirmed", paymentId, paidAt: new Date() };
+  if (paymentId) paid.transactionId = paymentId;
+
+  const unpaid = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: { $in: UNPAID } },
+    { $set: paid }
+  );
+  if (!unpaid) {
+    // Settled by another call already
+    const current = await Booking.findById(booking._id);
+    syncPaymentState(booking, current);
+    return current.status === "confirmed";
+  }
+
+  const claimed = await Booking.findById(booking._id);
+  if (isHoldLapsed(unpaid) && !(await reclaimHold(claimed))) {
+    claimed.status = "failed";
+    await claimed.save();
+
+    const refund = await openRefund({
+      booking: claimed,
+      amount: claimed.totalAmount,
+      reason: "Hold expired before payment completed",
+    });
+    approveRefund(refund, undefined, "Automatic refund for lapsed hold");
+    await refund.save();
+    claimed.refund = refund._id;
+    await processRefund(refund, claimed, undefined);
+    await claimed.save();
+    syncPaymentState(booking, claimed);
+    return false;
+  }
+
+  await endHold(claimed);
+  await claimed.save();
+  await recordBookingEarning(claimed);
+  emitEvent(EVENTS.BOOKING_CONFIRMED, { bookingId: claimed._id });
+  syncPaymentState(booking, claimed);
+  return true;
+};
+
+// Payment declined: the booking fails and gives its dates/seats back, unless
+// a capture confirmed it in the meantime
+export const failUnpaidBooking = async (booking) => {
+  const failed = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: "pending" },
+    { $set: { status: "failed" } },
+    { new: true }
+  );
+  if (!failed) return false;
+
+  booking.status = "failed";
+  await releaseBookingInventory(failed);
+  return true;
+};
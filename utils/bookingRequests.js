@@ -0,0 +1,77 @@
+import Booking from "../models/Booking.js";
+import { releaseBookingInventory } from "./inventory.js";
+import { startHold, ACCEPTED_REQUEST_HOLD_MINUTES } from "./holds.js";
+
+const ONE_HOUR = 1000 * 60 * 60;
+
+export const requestDeadline = (place, from = new Date()) =>
+  new Date(from.getTime() + (place.requestResponseHours || 24) * ONE_HOUR);
+
+// Accept, decline and expiry each claim the request out of "awaiting", so
+// only the first of them to land decides it
+const AWAITING = { status: "pending", "hostApproval.status": "awaiting" };
+
+// ------------------- HOST DECISIONS -------------------
+// Accepting starts the guest's payment hold. Both return the updated booking,
+// or null if the request was already decided or has expired.
+export const acceptRequest = async (booking, note) => {
+  const now = new Date();
+  const accepted = await Booking.findOneAndUpdate(
+    { _id: booking._id, ...AWAITING, "hostApproval.deadline": { $gt: now } },
+    {
+      $set: {
+        "hostApproval.status": "accepted",
+        "hostApproval.respondedAt": now,
+        "hostApproval.note": note,
+      },
+    },
+    { new: true }
+  );
+  if (!accepted) return null;
+
+  await startHold(accepted, ACCEPTED_REQUEST_HOLD_MINUTES);
+  await accepted.save();
+  return accepted;
+};
+
+export const declineRequest = async (booking, note) => {
+  const declined = await Booking.findOneAndUpdate(
+    { _id: booking._id, ...AWAITING },
+    {
+      $set: {
+        status: "declined",
+        "hostApproval.status": "declined",
+        "hostApproval.respondedAt": new Date(),
+        "hostApproval.note": note,
+      },
+    },
+    { new: true }
+  );
+  if (!declined) return null;
+
+  await releaseBookingInventory(declined);
+  return declined;
+};
+
+// ------------------- EXPIRY -------------------
+// Requests the host did not answer in time give their nights back
+export const expireOverdueRequests = async (now = new Date()) => {
+  const overdue = await Booking.find({
+    ...AWAITING,
+    "hostApproval.deadline": { $lte: now },
+  }).select("_id");
+
+  let expired = 0;
+  for (const { _id } of overdue) {
+    const booking = await Booking.findOneAndUpdate(
+      { _id, ...AWAITING, "hostApproval.deadline": { $lte: now } },
+      { $set: { status: "expired", "hostApproval.status": "expired" } },
+      { new: true }
+    );
+    if (!booking) continue;
+    expired += 1;
+    await releaseBookingInventory(booking);
+  }
+
+  return expired;
+};
@@ -0,0 +1,79 @@
+import { toDateKey, parseDateKey } from "./availability.js";
+import { bookingSubtotal } from "./pricing.js";
+
+const ONE_HOUR = 1000 * 60 * 60;
+
+// Tiers are checked top to bottom: the first one whose cutoff has not passed
+// decides how much of the booking price comes back. The service fee is only
+// returned with a full refund.
+export const CANCELLATION_POLICIES = {
+  flexible: {
+    label: "Flexible",
+    description: "Full refund up to 24 hours before the start.",
+    tiers: [{ hoursBefore: 24, refundPercent: 100 }],
+  },
+  moderate: {
+    label: "Moderate",
+    description: "Full refund up to 5 days before the start, 50% up to 24 hours before.",
+    tiers: [
+      { hoursBefore: 5 * 24, refundPercent: 100 },
+      { hoursBefore: 24, refundPercent: 50 },
+    ],
+  },
+  strict: {
+    label: "Strict",
+    description: "Full refund up to 14 days before the start, 50% up to 7 days before.",
+    tiers: [
+      { hoursBefore: 14 * 24, refundPercent: 100 },
+      { hoursBefore: 7 * 24, refundPercent: 50 },
+    ],
+  },
+};
+
+export const POLICY_NAMES = Object.keys(CANCELLATION_POLICIES);
+export const DEFAULT_POLICY = "moderate";
+
+// Experiences written before the policy names existed hold free text
+// ("Flexible", "Free cancellation up to 24 hours before", ...)
+const LEGACY_POLICY_PATTERNS = [
+  [/strict|non-?refundable/i, "strict"],
+  [/moderate/i, "moderate"],
+  [/flexible|free cancell?ation/i, "flexible"],
+];
+
+export const normalizePolicy = (name) => {
+  const key = String(name || "").trim().toLowerCase();
+  if (CANCELLATION_POLICIES[key]) return key;
+  return LEGACY_POLICY_PATTERNS.find(([pattern]) => pattern.test(key))?.[1] || DEFAULT_POLICY;
+};
+
+// When the booked stay / session begins
+export const bookingStartsAt = (booking) => {
+  const key = toDateKey(booking.type === "place" ? booking.checkIn : booking.date);
+  return key ? parseDateKey(key) : null;
+};
+
+// ------------------- REFUND CALCULATION -------------------
+export const calculateRefund = (booking, now = new Date()) => {
+  const policy = normalizePolicy(booking.cancellationPolicy);
+  const startsAt = bookingStartsAt(booking);
+  const hoursUntilStart = startsAt ? (startsAt - now) / ONE_HOUR : 0;
+
+  // Nothing was charged for unpaid bookings
+  const paid = booking.status === "confirmed";
+  const tier = paid
+    ? CANCELLATION_POLICIES[policy].tiers.find((t) => hoursUntilStart >= t.hoursBefore)
+    : null;
+  const refundPercent = tier ? tier.refundPercent : 0;
+
+  // Unpaid changes never reach the booking, so its subtotal is all paid for
+  let refundableAmount = (bookingSubtotal(booking) * refundPercent) / 100;
+  if (refundPercent === 100) refundableAmount += booking.serviceFee || 0;
+
+  return {
+    policy,
+    refundPercent,
+    refundableAmount: +refundableAmount.toFixed(2),
+    hoursUntilStart: Math.max(0, Math.floor(hoursUntilStart)),
+  };
+};
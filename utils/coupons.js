@@ -0,0 +1,108 @@
+import Coupon from "../models/Coupon.js";
+import CouponRedemption from "../models/CouponRedemption.js";
+
+const round2 = (n) => +Number(n).toFixed(2);
+
+// ------------------- ELIGIBILITY -------------------
+// Everything that can be checked before the booking is priced. Returns
+// { coupon } or { error }.
+export const findApplicableCoupon = async ({ code, userId, type, itemId, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon || !coupon.active) return { error: "Invalid coupon code" };
+
+  if (coupon.validFrom && coupon.validFrom > now) return { error: "This coupon is not active yet" };
+  if (coupon.validUntil && coupon.validUntil < now) return { error: "This coupon has expired" };
+
+  if (coupon.bookingTypes?.length && !coupon.bookingTypes.includes(type)) {
+    return { error: `This coupon cannot be used for ${type} bookings` };
+  }
+  if (coupon.listings?.length && !coupon.listings.some((id) => id.toString() === String(itemId))) {
+    return { error: "This coupon is not valid for this listing" };
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { error: "This coupon has been fully redeemed" };
+  }
+  if (coupon.perUserLimit && userId) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId, status: "applied" });
+    if (used >= coupon.perUserLimit) return { error: "You have already used this coupon" };
+  }
+
+  return { coupon };
+};
+
+// ------------------- DISCOUNT -------------------
+// Pure calculation against the pre-fee subtotal. Returns { amount, error }.
+// Coupon amounts are in the base currency; baseRate converts them into the
+// currency the subtotal is in.
+export const applyCoupon = (coupon, subtotal, baseRate = 1) => {
+  const minSpend = round2((coupon.minSpend || 0) * baseRate);
+  if (subtotal < minSpend) {
+    return { amount: 0, error: `Minimum spend for this coupon is ${minSpend}` };
+  }
+
+  let amount = coupon.discountType === "percent" ? (subtotal * coupon.value) / 100 : coupon.value * baseRate;
+  if (coupon.discountType === "percent" && coupon.maxDiscount) {
+    amount = Math.min(amount, coupon.maxDiscount * baseRate);
+  }
+
+  return { amount: round2(Math.min(amount, subtotal)), error: null };
+};
+
+// ------------------- REDEMPTION -------------------
+// Redemption row for a coupon with a per-user limit: takes the first of the
+// user's `perUserLimit` slots still free. The unique (coupon, user, slot)
+// index on applied rows means parallel bookings can't share a slot. Returns
+// false when every slot is taken.
+const createLimitedRedemption = async (coupon, data) => {
+  for (let slot = 1; slot <= coupon.perUserLimit; slot += 1) {
+    try {
+      await CouponRedemption.create({ ...data, slot });
+      return true;
+    } catch (err) {
+      if (err.code !== 11000 || !err.keyPattern?.slot) throw err;
+    }
+  }
+  return false;
+};
+
+// Takes one use of the coupon for a booking. Both limits are enforced
+// atomically. Returns null, or why the coupon can't be used any more.
+export const redeemCoupon = async (coupon, { userId, bookingId, amount }) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      active: true,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (!claimed) return "This coupon has been fully redeemed";
+
+  const redemption = { coupon: coupon._id, user: userId, booking: bookingId, code: coupon.code, amount };
+  if (!claimed.perUserLimit) {
+    await CouponRedemption.create(redemption);
+    return null;
+  }
+
+  if (!(await createLimitedRedemption(claimed, redemption))) {
+    await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    return "You have already used this coupon";
+  }
+  return null;
+};
+
+// Gives the use back when a booking doesn't go ahead. Idempotent.
+export const releaseCoupon = async (bookingId) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { booking: bookingId, status: "applied" },
+    { $set: { status: "released" } }
+  );
+  if (redemption) {
+    await Coupon.updateOne({ _id: redemption.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  }
+};
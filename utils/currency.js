@@ -0,0 +1,73 @@
+import ExchangeRate from "../models/ExchangeRate.js";
+
+// Listing prices are stored in the host's currency; coupons and the minimum
+// service fee are defined in the base currency. Everything is converted
+// through the base using the locally stored rate table.
+export const BASE_CURRENCY = "INR";
+
+const round2 = (n) => +Number(n).toFixed(2);
+
+export const normalizeCurrency = (code) => String(code || "").trim().toUpperCase();
+
+// { INR: 1, USD: 83.2, ... }
+export const loadRates = async () => {
+  const rows = await ExchangeRate.find().select("currency rateToBase");
+  const rates = { [BASE_CURRENCY]: 1 };
+  for (const row of rows) rates[row.currency] = row.rateToBase;
+  return rates;
+};
+
+export const isSupportedCurrency = (rates, code) => !!rates[normalizeCurrency(code)];
+
+// Multiplier that turns an amount in `from` into `to`; null if either is unknown
+export const exchangeRate = (rates, from, to) => {
+  const fromRate = rates[normalizeCurrency(from)];
+  const toRate = rates[normalizeCurrency(to)];
+  if (!fromRate || !toRate) return null;
+  return +(fromRate / toRate).toFixed(6);
+};
+
+export const convertAmount = (amount, rate) => round2((amount || 0) * rate);
+
+// Rates needed to price a listing in `currency` (defaults to the listing's own).
+// Returns { currency, listingCurrency, rate, baseRate } or null when unsupported.
+export const resolveFx = async (listingCurrency = BASE_CURRENCY, currency) => {
+  const from = normalizeCurrency(listingCurrency) || BASE_CURRENCY;
+  const to = normalizeCurrency(currency) || from;
+  if (from === to && to === BASE_CURRENCY) {
+    return { currency: to, listingCurrency: from, rate: 1, baseRate: 1 };
+  }
+
+  const rates = await loadRates();
+  const rate = exchangeRate(rates, from, to);
+  const baseRate = exchangeRate(rates, BASE_CURRENCY, to);
+  if (rate === null || baseRate === null) return null;
+  return { currency: to, listingCurrency: from, rate, baseRate };
+};
+
+// ------------------- LISTINGS -------------------
+const LISTING_MONEY_FIELDS = ["price", "weekendPrice", "cleaningFee", "extraGuestFee"];
+
+// Adds a `converted` block with the listing's amounts in the requested currency
+export const withConvertedPrices = (listing, rates, currency) => {
+  const doc = listing?.toObject ? listing.toObject() : listing;
+  if (!doc || !currency) return doc;
+
+  const rate = exchangeRate(rates, doc.currency || BASE_CURRENCY, currency);
+  if (rate === null) return doc;
+
+  const converted = { currency: normalizeCurrency(currency), rate };
+  for (const field of LISTING_MONEY_FIELDS) {
+    if (typeof doc[field] === "number") converted[field] = convertAmount(doc[field], rate);
+  }
+  return { ...doc, converted };
+};
+
+// ------------------- FORMATTING -------------------
+export const formatMoney = (amount, currency = BASE_CURRENCY) => {
+  try {
+    return new Intl.NumberFormat("en-IN", { style: "currency", currency }).format(amount || 0);
+  } catch {
+    return `${currency} ${Number(amount || 0).toFixed(2)}`;
+  }
+};
@@ -0,0 +1,29 @@
+import { EventEmitter } from "events";
+
+// In-process domain events. Controllers announce what happened; subscribers
+// (mail notifications, ...) decide what to do about it. Payloads carry ids so
+// handlers load fresh documents.
+export const EVENTS = {
+  BOOKING_REQUESTED: "booking.requested",
+  BOOKING_CONFIRMED: "booking.confirmed",
+  BOOKING_CANCELED: "booking.canceled",
+  RECEIPT_REQUESTED: "booking.receipt_requested",
+  REFUND_PROCESSED: "refund.processed",
+  SPLIT_INVITED: "booking.split_invited",
+};
+
+const emitter = new EventEmitter();
+
+export const emitEvent = (name, payload) => {
+  emitter.emit(name, payload);
+};
+
+// Handlers run asynchronously; a failing one is logged and never reaches the
+// request that emitted the event
+export const onEvent = (name, handler) => {
+  emitter.on(name, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch((err) => console.error(`Event handler for "${name}" failed:`, err));
+  });
+};
@@ -0,0 +1,76 @@
+// Guest breakdown helpers. Bookings carry { adults, children, infants, pets };
+// older clients that only send numberOfGuests are treated as all adults.
+
+export const DEFAULT_GUEST_RULES = {
+  petsAllowed: false,
+  maxPets: 2,
+  childrenAllowed: true,
+  infantsAllowed: true,
+  infantsCountTowardCapacity: false,
+};
+
+const toCount = (value) => {
+  if (value === undefined || value === null || value === "") return 0;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+};
+
+export const normalizeGuests = ({ guests, numberOfGuests } = {}) => {
+  if (guests && typeof guests === "object") {
+    return {
+      adults: toCount(guests.adults),
+      children: toCount(guests.children),
+      infants: toCount(guests.infants),
+      pets: toCount(guests.pets),
+    };
+  }
+  return { adults: toCount(numberOfGuests), children: 0, infants: 0, pets: 0 };
+};
+
+const rulesFor = (listing) => ({
+  ...DEFAULT_GUEST_RULES,
+  ...(listing?.guestRules?.toObject?.() || listing?.guestRules || {}),
+});
+
+// Guests that take up capacity (and are charged per head)
+export const countGuests = (guests, listing) => {
+  const rules = rulesFor(listing);
+  return guests.adults + guests.children + (rules.infantsCountTowardCapacity ? guests.infants : 0);
+};
+
+// Returns an error message, or null when the party fits the listing's rules
+export const validateGuests = (guests, listing) => {
+  const { adults, children, infants, pets } = guests;
+
+  if ([adults, children, infants, pets].some(Number.isNaN)) {
+    return "Guest counts must be whole numbers";
+  }
+  if (adults < 1) return "At least one adult is required";
+
+  const rules = rulesFor(listing);
+  if (children > 0 && !rules.childrenAllowed) return "This listing does not allow children";
+  if (infants > 0 && !rules.infantsAllowed) return "This listing does not allow infants";
+  if (pets > 0 && !rules.petsAllowed) return "Pets are not allowed";
+  if (pets > rules.maxPets) return `A maximum of ${rules.maxPets} pets is allowed`;
+
+  const counted = countGuests(guests, listing);
+  if (listing?.maxGuests && counted > listing.maxGuests) {
+    return `This listing allows at most ${listing.maxGuests} guests`;
+  }
+
+  return null;
+};
+
+// "2 adults, 1 child, 1 infant"
+export const describeGuests = (guests, fallbackCount) => {
+  if (!guests || !guests.adults) return `${fallbackCount || 0} guests`;
+  const parts = [
+    [guests.adults, "adult", "adults"],
+    [guests.children, "child", "children"],
+    [guests.infants, "infant", "infants"],
+    [guests.pets, "pet", "pets"],
+  ]
+    .filter(([n]) => n > 0)
+    .map(([n, one, many]) => `${n} ${n === 1 ? one : many}`);
+  return parts.join(", ");
+};
@@ -0,0 +1,77 @@
+import Booking from "../models/Booking.js";
+import {
+  moveNights, reserveSeats, setNightsExpiry, holdsAllNights, releaseNights, releaseLapsedHold,
+} from "./inventory.js";
+
+const ONE_MINUTE = 1000 * 60;
+
+// How long checkout may take before the dates go back on sale
+export const HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES) || 15;
+// Accepted request-to-book bookings give the guest longer to pay
+export const ACCEPTED_REQUEST_HOLD_MINUTES = 24 * 60;
+
+export const holdExpiry = (minutes = HOLD_MINUTES, from = new Date()) =>
+  new Date(from.getTime() + minutes * ONE_MINUTE);
+
+export const isHoldLapsed = (booking, now = new Date()) =>
+  booking.status === "expired" ||
+  (booking.status === "pending" && booking.holdExpiresAt && booking.holdExpiresAt <= now);
+
+// Starts / restarts the hold clock on a booking and its nights (caller saves)
+export const startHold = async (booking, minutes) => {
+  booking.holdExpiresAt = holdExpiry(minutes);
+  if (booking.type === "place") await setNightsExpiry(booking._id, booking.holdExpiresAt);
+};
+
+// Paid: the booking keeps its dates for good
+export const endHold = async (booking) => {
+  booking.holdExpiresAt = undefined;
+  if (booking.type === "place") await setNightsExpiry(booking._id, null);
+};
+
+// Payment arrived after the hold lapsed: claim the dates/seats again if no one
+// else took them in the meantime
+export const reclaimHold = async (booking) => {
+  if (booking.type === "place") {
+    // Lapsed nights still on record count as held, so pin them first: once
+    // expiresAt is gone neither the TTL monitor nor another booking's claim
+    // can drop them. Nights already dropped are claimed again by moveNights.
+    await setNightsExpiry(booking._id, null);
+    const reclaimed = await moveNights(booking.place, booking._id, booking.checkIn, booking.checkOut)
+      && await holdsAllNights(booking._id, booking.checkIn, booking.checkOut);
+    // The booking fails without its dates; don't leave the pinned nights behind
+    if (!reclaimed) await releaseNights(booking._id);
+    return reclaimed;
+  }
+
+  if (booking.slot && !booking.seatsHeld) {
+    const slot = await reserveSeats(booking.slot, booking.numberOfGuests);
+    if (!slot) return false;
+    booking.seatsHeld = booking.numberOfGuests;
+  }
+  return true;
+};
+
+// ------------------- SWEEPER -------------------
+// Each booking is claimed out of "pending" before anything is given back, so
+// one that a payment confirmed after the find keeps its dates
+export const expireStaleHolds = async (now = new Date()) => {
+  const stale = await Booking.find({
+    status: "pending",
+    holdExpiresAt: { $lte: now },
+  }).select("_id");
+
+  let expired = 0;
+  for (const { _id } of stale) {
+    const booking = await Booking.findOneAndUpdate(
+      { _id, status: "pending", holdExpiresAt: { $lte: now } },
+      { $set: { status: "expired" } },
+      { new: true }
+    );
+    if (!booking) continue;
+    expired += 1;
+    await releaseLapsedHold(booking);
+  }
+
+  return expired;
+};
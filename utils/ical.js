@@ -0,0 +1,307 @@
+import http from "node:http";
+import https from "node:https";
+import dns from "node:dns";
+import net from "node:net";
+import Booking from "../models/Booking.js";
+import Place from "../models/Place.js";
+import { BLOCKING_STATUSES, toDateKey, addDays, findOverlappingBooking } from "./availability.js";
+import { findHeldNight } from "./inventory.js";
+
+const MAX_FEED_BYTES = 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+const MAX_REDIRECTS = 3;
+
+// ------------------- PARSE -------------------
+// "20261101" or "20261101T140000Z" -> "2026-11-01"
+const icsDateToKey = (value = "") => {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+};
+
+const unescapeText = (s = "") => s.replace(/\\n/gi, " ").replace(/\\([,;\\])/g, "$1");
+
+// Minimal RFC 5545 reader: only what calendar sync needs. Returns events as
+// inclusive night ranges, matching Place.blockedDates.
+export const parseIcs = (text) => {
+  const lines = String(text).replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (current?.start && current.status !== "CANCELLED") {
+        const start = current.start;
+        // DTEND is exclusive; a missing one means a single day
+        const lastNight = current.end ? addDays(current.end, -1) : start;
+        events.push({
+          uid: current.uid,
+          summary: current.summary,
+          start,
+          end: lastNight < start ? start : lastNight,
+        });
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const idx = line.indexOf(":");
+    if (idx === -1) continue;
+    const name = line.slice(0, idx).split(";")[0].toUpperCase();
+    const value = line.slice(idx + 1).trim();
+
+    if (name === "DTSTART") current.start = icsDateToKey(value);
+    else if (name === "DTEND") current.end = icsDateToKey(value);
+    else if (name === "UID") current.uid = value;
+    else if (name === "SUMMARY") current.summary = unescapeText(value);
+    else if (name === "STATUS") current.status = value.toUpperCase();
+  }
+
+  return events;
+};
+
+// ------------------- EXPORT -------------------
+const keyToIcsDate = (key) => key.replace(/-/g, "");
+
+const stamp = () => new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Confirmed bookings and host blocks. Blocks that came in from other
+// calendars are left out so platforms don't echo each other's events.
+export const buildPlaceIcs = async (place) => {
+  const bookings = await Booking.find({
+    place: place._id,
+    status: { $in: BLOCKING_STATUSES },
+    checkOut: { $gte: toDateKey(new Date()) },
+  }).select("checkIn checkOut");
+
+  const dtstamp = stamp();
+  const events = [];
+
+  for (const b of bookings) {
+    events.push([
+      "BEGIN:VEVENT",
+      `UID:booking-${b._id}@domio`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART;VALUE=DATE:${keyToIcsDate(toDateKey(b.checkIn))}`,
+      `DTEND;VALUE=DATE:${keyToIcsDate(toDateKey(b.checkOut))}`,
+      "SUMMARY:Reserved",
+      "END:VEVENT",
+    ]);
+  }
+
+  for (const block of place.blockedDates || []) {
+    if (block.source && block.source !== "host") continue;
+    events.push([
+      "BEGIN:VEVENT",
+      `UID:block-${block._id}@domio`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART;VALUE=DATE:${keyToIcsDate(block.start)}`,
+      `DTEND;VALUE=DATE:${keyToIcsDate(addDays(block.end, 1))}`,
+      "SUMMARY:Not available",
+      "END:VEVENT",
+    ]);
+  }
+
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Domio//Place Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${(place.title || "Domio place").replace(/[\r\n]/g, " ")}`,
+    ...events.flat(),
+    "END:VCALENDAR",
+  ].join("\r\n");
+};
+
+// ------------------- IMPORT -------------------
+// Turns events into blocked ranges on the place (caller saves). Events that
+// overlap a booking are skipped and reported: a confirmed one, or any night
+// held in the per-night inventory createBooking claims (unpaid holds, awaiting
+// requests, split payments). `replace` drops previous blocks from the same
+// source first, so a re-sync mirrors the remote calendar.
+export const importEvents = async (place, events, { source, feedId, replace = false }) => {
+  if (replace) {
+    place.blockedDates = place.blockedDates.filter((b) =>
+      feedId ? b.feed?.toString() !== feedId.toString() : b.source !== source
+    );
+  }
+
+  const today = toDateKey(new Date());
+  const added = [];
+  const conflicts = [];
+
+  for (const event of events) {
+    if (event.end < today) continue;
+
+    const overlapping = await findOverlappingBooking(place._id, event.start, addDays(event.end, 1));
+    const held = overlapping ? null : await findHeldNight(place._id, event.start, addDays(event.end, 1));
+    if (overlapping || held) {
+      const bookingId = overlapping ? overlapping._id : held.booking;
+      conflicts.push({ uid: event.uid, start: event.start, end: event.end, bookingId });
+      continue;
+    }
+
+    // Same event uploaded twice: keep the latest version
+    if (event.uid) {
+      place.blockedDates = place.blockedDates.filter((b) => b.uid !== event.uid);
+    }
+
+    place.blockedDates.push({
+      start: event.start,
+      end: event.end,
+      reason: event.summary ? `Imported: ${event.summary}`.slice(0, 200) : "Imported calendar",
+      source,
+      feed: feedId,
+      uid: event.uid,
+    });
+    added.push({ uid: event.uid, start: event.start, end: event.end });
+  }
+
+  return { added, conflicts };
+};
+
+// ------------------- FEEDS -------------------
+// Feeds are fetched by the server, so they must never reach our own network:
+// loopback, private, link-local, CGNAT, multicast and reserved ranges, plus
+// IPv4-mapped / NAT64 IPv6 forms of them
+const blockedAddresses = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) {
+  blockedAddresses.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 127], ["::ffff:0:0", 96], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) {
+  blockedAddresses.addSubnet(prefix, bits, "ipv6");
+}
+
+export const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !blockedAddresses.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+// DNS lookup for feed requests: fails if the host resolves to any blocked
+// address, so the check covers the address actually connected to
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some((a) => !isPublicAddress(a.address))) {
+      return callback(new Error("Feed host resolves to a private address"));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+export const normalizeFeedUrl = (raw) => {
+  let url;
+  try {
+    url = new URL(String(raw).replace(/^webcals?:\/\//i, "https://"));
+  } catch {
+    return null;
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return null;
+  if (url.username || url.password) return null;
+
+  // Literal IPs skip DNS, so they are checked here; names are checked when
+  // they resolve
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (host === "localhost" || host.endsWith(".localhost")) return null;
+  if (net.isIP(host) && !isPublicAddress(host)) return null;
+  return url.toString();
+};
+
+const requestFeed = (url, signal) =>
+  new Promise((resolve, reject) => {
+    const client = url.startsWith("https:") ? https : http;
+    client
+      .get(url, { lookup: publicLookup, signal, headers: { accept: "text/calendar, */*" } }, resolve)
+      .on("error", reject);
+  });
+
+// Reads at most `limit` bytes, aborting the download past that
+const readBody = (response, limit) =>
+  new Promise((resolve, reject) => {
+    if (Number(response.headers["content-length"]) > limit) {
+      response.destroy();
+      return reject(new Error("Feed is too large"));
+    }
+
+    const chunks = [];
+    let size = 0;
+    response.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        response.destroy();
+        reject(new Error("Feed is too large"));
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    response.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    response.on("error", reject);
+  });
+
+// Redirects are followed by hand so every hop goes through the same checks
+export const fetchFeed = async (feedUrl) => {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let url = normalizeFeedUrl(feedUrl);
+
+  for (let hops = 0; ; hops += 1) {
+    if (!url) throw new Error("Feed URL is not allowed");
+    const response = await requestFeed(url, signal);
+    const status = response.statusCode;
+
+    if (status >= 300 && status < 400 && response.headers.location) {
+      response.resume();
+      if (hops >= MAX_REDIRECTS) throw new Error("Feed redirected too many times");
+      url = normalizeFeedUrl(new URL(response.headers.location, url));
+      continue;
+    }
+    if (status < 200 || status >= 300) {
+      response.resume();
+      throw new Error(`Feed responded with ${status}`);
+    }
+
+    const text = await readBody(response, MAX_FEED_BYTES);
+    if (!text.includes("BEGIN:VCALENDAR")) throw new Error("Not an iCalendar feed");
+    return text;
+  }
+};
+
+// Pulls one registered feed into the place's blocked dates (caller saves)
+export const syncFeed = async (place, feed) => {
+  try {
+    const events = parseIcs(await fetchFeed(feed.url));
+    const result = await importEvents(place, events, { source: "ical", feedId: feed._id, replace: true });
+    feed.lastSyncedAt = new Date();
+    feed.lastError = undefined;
+    feed.lastConflicts = result.conflicts.length;
+    return result;
+  } catch (err) {
+    feed.lastError = err.message;
+    return { added: [], conflicts: [], error: err.message };
+  }
+};
+
+// Scheduler entry point: re-sync every registered feed
+export const syncAllFeeds = async () => {
+  const places = await Place.find({ "icalFeeds.0": { $exists: true } });
+  let synced = 0;
+
+  for (const place of places) {
+    for (const feed of place.icalFeeds) {
+      await syncFeed(place, feed);
+      synced += 1;
+    }
+    await place.save();
+  }
+
+  return synced;
+};
@@ -0,0 +1,167 @@
+import PlaceNight from "../models/PlaceNight.js";
+import ExperienceSlot from "../models/ExperienceSlot.js";
+import Booking from "../models/Booking.js";
+import { eachNight } from "./availability.js";
+import { releaseCoupon } from "./coupons.js";
+
+const isDuplicateKey = (err) =>
+  err?.code === 11000 || err?.writeErrors?.some?.((e) => e.code === 11000);
+
+// ------------------- PLACE NIGHTS -------------------
+// Held nights of unpaid bookings carry expiresAt. MongoDB's TTL monitor only
+// runs about once a minute, so lapsed nights are also cleared here before we
+// try to claim the same dates.
+const clearLapsedNights = (placeId, dates, bookingId) =>
+  PlaceNight.deleteMany({
+    place: placeId,
+    date: { $in: dates },
+    booking: { $ne: bookingId },
+    expiresAt: { $lte: new Date() },
+  });
+
+// Claims every night of the stay for a booking. Returns false if any night is
+// already taken; nights claimed before the conflict are given back.
+export const reserveNights = async (placeId, bookingId, checkIn, checkOut, { expiresAt } = {}) => {
+  const dates = eachNight(checkIn, checkOut);
+  const docs = dates.map((date) => ({
+    place: placeId,
+    date,
+    booking: bookingId,
+    expiresAt,
+  }));
+
+  await clearLapsedNights(placeId, dates, bookingId);
+
+  try {
+    await PlaceNight.insertMany(docs, { ordered: true });
+    return true;
+  } catch (err) {
+    await PlaceNight.deleteMany({ booking: bookingId });
+    if (isDuplicateKey(err)) return false;
+    throw err;
+  }
+};
+
+export const releaseNights = (bookingId) => PlaceNight.deleteMany({ booking: bookingId });
+
+// A night of the stay some booking holds (paid, or an unpaid hold that has
+// not lapsed), or null. Lapsed holds count as free, just as in reserveNights.
+export const findHeldNight = (placeId, checkIn, checkOut, now = new Date()) =>
+  PlaceNight.findOne({
+    place: placeId,
+    date: { $in: eachNight(checkIn, checkOut) },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  });
+
+// Whether reserveNights could claim the stay right now
+export const nightsAvailable = async (placeId, checkIn, checkOut, now = new Date()) =>
+  !(await findHeldNight(placeId, checkIn, checkOut, now));
+
+// Claims the nights of a stay that the booking does not hold yet, keeping the
+// ones it has. Returns false (and changes nothing) if a new night is taken.
+export const addNights = async (placeId, bookingId, checkIn, checkOut, { expiresAt } = {}) => {
+  const wanted = eachNight(checkIn, checkOut);
+  const held = new Set((await PlaceNight.find({ booking: bookingId }).select("date")).map((n) => n.date));
+  const toAdd = wanted.filter((date) => !held.has(date));
+
+  await clearLapsedNights(placeId, toAdd, bookingId);
+
+  try {
+    await PlaceNight.insertMany(
+      toAdd.map((date) => ({ place: placeId, date, booking: bookingId, expiresAt })),
+      { ordered: true }
+    );
+    return true;
+  } catch (err) {
+    await PlaceNight.deleteMany({ booking: bookingId, date: { $in: toAdd } });
+    if (isDuplicateKey(err)) return false;
+    throw err;
+  }
+};
+
+// Moves a booking onto new dates: claims the nights it does not hold yet, then
+// gives back the ones it no longer needs. Returns false (and changes nothing)
+// if a new night is taken.
+export const moveNights = async (placeId, bookingId, checkIn, checkOut, { expiresAt } = {}) => {
+  if (!(await addNights(placeId, bookingId, checkIn, checkOut, { expiresAt }))) return false;
+  await PlaceNight.deleteMany({ booking: bookingId, date: { $nin: eachNight(checkIn, checkOut) } });
+  return true;
+};
+
+// Gives back the nights a booking only holds for now (those with an expiry),
+// keeping the ones it holds for good
+export const dropHeldNights = (bookingId) =>
+  PlaceNight.deleteMany({ booking: bookingId, expiresAt: { $ne: null } });
+
+// Sets (or clears, with null) the expiry on every night a booking holds
+export const setNightsExpiry = (bookingId, expiresAt) =>
+  PlaceNight.updateMany(
+    { booking: bookingId },
+    expiresAt ? { $set: { expiresAt } } : { $unset: { expiresAt: 1 } }
+  );
+
+// Whether a booking holds every night of the stay for good (no expiry left)
+export const holdsAllNights = async (bookingId, checkIn, checkOut) => {
+  const dates = eachNight(checkIn, checkOut);
+  const held = await PlaceNight.countDocuments({ booking: bookingId, date: { $in: dates }, expiresAt: null });
+  return held === dates.length;
+};
+
+// ------------------- EXPERIENCE SEATS -------------------
+// Atomically takes `seats` from an open slot. Returns the updated slot, or null
+// when the slot is full, canceled or missing.
+export const reserveSeats = (slotId, seats) =>
+  ExperienceSlot.findOneAndUpdate(
+    {
+      _id: slotId,
+      status: "open",
+      $expr: { $lte: [{ $add: ["$seatsBooked", seats] }, "$capacity"] },
+    },
+    { $inc: { seatsBooked: seats } },
+    { new: true }
+  );
+
+export const releaseSeats = (slotId, seats) =>
+  ExperienceSlot.updateOne({ _id: slotId }, { $inc: { seatsBooked: -seats } });
+
+// ------------------- BOOKING -------------------
+// Gives back what an expired hold still has. A late payment can claim the
+// booking back at the same time (see confirmPaidBooking), so nights it has
+// already pinned (no expiry) are kept, and seats and the coupon are only
+// returned while the booking is still expired.
+export const releaseLapsedHold = async (booking) => {
+  if (booking.type === "place") {
+    await dropHeldNights(booking._id);
+  } else if (booking.slot && booking.seatsHeld > 0) {
+    const { modifiedCount } = await Booking.updateOne(
+      { _id: booking._id, status: "expired", seatsHeld: { $gt: 0 } },
+      { $set: { seatsHeld: 0 } }
+    );
+    if (modifiedCount) await releaseSeats(booking.slot, booking.seatsHeld);
+  }
+
+  if (booking.discount?.coupon && (await Booking.exists({ _id: booking._id, status: "expired" }))) {
+    await releaseCoupon(booking._id);
+  }
+};
+
+// Gives back whatever a booking holds, including its coupon use. Safe to call
+// more than once: seats are only returned by the call that clears
+// booking.seatsHeld.
+export const releaseBookingInventory = async (booking) => {
+  if (booking.discount?.coupon) await releaseCoupon(booking._id);
+
+  if (booking.type === "place") {
+    await releaseNights(booking._id);
+    return;
+  }
+
+  if (booking.slot && booking.seatsHeld > 0) {
+    const { modifiedCount } = await Booking.updateOne(
+      { _id: booking._id, seatsHeld: { $gt: 0 } },
+      { $set: { seatsHeld: 0 } }
+    );
+    if (modifiedCount) await releaseSeats(booking.slot, booking.seatsHeld);
+    booking.seatsHeld = 0;
+  }
+};
@@ -0,0 +1,496 @@
+import PDFDocument from "pdfkit";
+import Booking from "../models/Booking.js";
+import Invoice from "../models/Invoice.js";
+import InvoiceNote from "../models/InvoiceNote.js";
+import { nextSequence } from "../models/Counter.js";
+import { countNights } from "./availability.js";
+
+const round2 = (n) => +Number(n).toFixed(2);
+
+// ------------------- SELLER / GST CONFIG -------------------
+export const SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || "Domio",
+  gstin: process.env.GSTIN || "",
+  address: process.env.INVOICE_SELLER_ADDRESS || "",
+  state: process.env.GST_STATE || "Telangana",
+};
+
+// SAC codes and rates. Accommodation is taxed by the per-night value in INR;
+// `inrRate` turns a price in the booking's currency back into rupees.
+const SAC = {
+  place: "996311",
+  experience: "998555",
+  service: "998599",
+  fee: "998599",
+};
+
+const gstRateFor = (kind, unitPrice, inrRate = 1) => {
+  if (kind === "place") return unitPrice * inrRate > 7500 ? 18 : 12;
+  return 18;
+};
+
+const INDIAN_STATES = [
+  "Andhra Pradesh", "Arunachal Pradesh", "Assam", "Bihar", "Chhattisgarh", "Goa",
+  "Gujarat", "Haryana", "Himachal Pradesh", "Jharkhand", "Karnataka", "Kerala",
+  "Madhya Pradesh", "Maharashtra", "Manipur", "Meghalaya", "Mizoram", "Nagaland",
+  "Odisha", "Punjab", "Rajasthan", "Sikkim", "Tamil Nadu", "Telangana", "Tripura",
+  "Uttar Pradesh", "Uttarakhand", "West Bengal", "Delhi", "Jammu and Kashmir",
+  "Ladakh", "Puducherry", "Chandigarh",
+];
+
+// Best effort: the first state name found in a free-text address/location
+export const detectState = (text = "") => {
+  const normalized = String(text).toLowerCase().replace(/\s+/g, " ");
+  return INDIAN_STATES.find((s) => normalized.includes(s.toLowerCase())) || null;
+};
+
+// Indian financial year, e.g. "2026-27" for dates from April 2026 to March 2027
+export const financialYear = (date = new Date()) => {
+  const start = date.getUTCMonth() >= 3 ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+};
+
+// ------------------- LINE ITEMS -------------------
+// Amounts on bookings are tax inclusive, so tax is carved out of each line.
+const taxLine = (line, interState) => {
+  const taxableValue = round2(line.amount / (1 + line.gstRate / 100));
+  const tax = round2(line.amount - taxableValue);
+  const cgst = interState ? 0 : round2(tax / 2);
+  return {
+    ...line,
+    taxableValue,
+    cgst,
+    sgst: interState ? 0 : round2(tax - cgst),
+    igst: interState ? tax : 0,
+  };
+};
+
+export const buildLineItems = (booking, item) => {
+  const lines = [];
+  const title = item?.title || booking.type;
+  // baseExchangeRate converted rupee (base currency) amounts into the booking's
+  const inrRate = 1 / (booking.baseExchangeRate || 1);
+
+  if (booking.type === "place") {
+    // Group nights by rate so each line has a single GST slab
+    const byRate = new Map();
+    const rates = booking.nightlyRates?.length
+      ? booking.nightlyRates
+      : [{ price: booking.price / Math.max(1, countNights(booking.checkIn, booking.checkOut)) }];
+    const nights = booking.nightlyRates?.length ? 1 : Math.max(1, countNights(booking.checkIn, booking.checkOut));
+
+    for (const night of rates) {
+      byRate.set(night.price, (byRate.get(night.price) || 0) + nights);
+    }
+
+    for (const [unitPrice, quantity] of byRate) {
+      lines.push({
+        description: `Accommodation - ${title}`,
+        sac: SAC.place,
+        quantity,
+        unit: "night",
+        unitPrice: round2(unitPrice),
+        amount: round2(unitPrice * quantity),
+        gstRate: gstRateFor("place", unitPrice, inrRate),
+      });
+    }
+  } else {
+    const seats = booking.numberOfGuests || 1;
+    lines.push({
+      description: `${booking.type === "experience" ? "Experience" : "Service"} - ${title}`,
+      sac: SAC[booking.type],
+      quantity: seats,
+      unit: "seat",
+      unitPrice: round2(booking.price / seats),
+      amount: round2(booking.price),
+      gstRate: gstRateFor(booking.type),
+    });
+  }
+
+  // Place extras follow the accommodation slab
+  if (booking.extraGuestFee) {
+    lines.push({
+      description: "Extra guest fee",
+      sac: SAC.place,
+      quantity: 1,
+      unit: "fee",
+      unitPrice: booking.extraGuestFee,
+      amount: booking.extraGuestFee,
+      gstRate: lines[0].gstRate,
+    });
+  }
+
+  if (booking.stayDiscount?.amount) {
+    lines.push({
+      description: `${booking.stayDiscount.kind === "monthly" ? "Monthly" : "Weekly"} stay discount (${booking.stayDiscount.percent}%)`,
+      sac: SAC.place,
+      quantity: 1,
+      unit: "discount",
+      unitPrice: -booking.stayDiscount.amount,
+      amount: -booking.stayDiscount.amount,
+      gstRate: lines[0].gstRate,
+    });
+  }
+
+  if (booking.cleaningFee) {
+    lines.push({
+      description: "Cleaning fee",
+      sac: SAC.place,
+      quantity: 1,
+      unit: "fee",
+      unitPrice: booking.cleaningFee,
+      amount: booking.cleaningFee,
+      gstRate: lines[0].gstRate,
+    });
+  }
+
+  // Coupon discount reduces the taxable value of the booked item
+  if (booking.discount?.amount) {
+    lines.push({
+      description: `Discount (${booking.discount.code})`,
+      sac: lines[0].sac,
+      quantity: 1,
+      unit: "discount",
+      unitPrice: -booking.discount.amount,
+      amount: -booking.discount.amount,
+      gstRate: lines[0].gstRate,
+    });
+  }
+
+  if (booking.serviceFee) {
+    lines.push({
+      description: "Platform service fee",
+      sac: SAC.fee,
+      quantity: 1,
+      unit: "fee",
+      unitPrice: booking.serviceFee,
+      amount: booking.serviceFee,
+      gstRate: gstRateFor("fee"),
+    });
+  }
+
+  return lines;
+};
+
+const totalsOf = (lineItems) => {
+  const sum = (key) => round2(lineItems.reduce((total, line) => total + line[key], 0));
+
+  const cgst = sum("cgst");
+  const sgst = sum("sgst");
+  const igst = sum("igst");
+
+  return {
+    taxableValue: sum("taxableValue"),
+    cgst,
+    sgst,
+    igst,
+    totalTax: round2(cgst + sgst + igst),
+    total: sum("amount"),
+  };
+};
+
+// Taxed lines and totals for a booking (or a not-yet-created one, for quotes)
+export const taxBreakdown = (booking, item) => {
+  const placeOfSupply = detectState(item?.address || item?.location || booking.address) || SELLER.state;
+  const interState = placeOfSupply !== SELLER.state;
+
+  const lineItems = buildLineItems(booking, item).map((line) => taxLine(line, interState));
+  return { placeOfSupply, interState, lineItems, ...totalsOf(lineItems) };
+};
+
+// ------------------- NUMBERING -------------------
+// Invoice and note numbers must run without gaps, so a number is only drawn
+// once the document is claimed through its unique key (the booking for
+// invoices, the source for notes): a request that loses the race never takes
+// one. A claimer that dies before numbering is taken over after a while.
+const NUMBERING_TIMEOUT_MS = 30 * 1000;
+const NUMBERING_WAIT_MS = 100;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const issueNumbered = async (Model, key, fields, { series, format }) => {
+  let claimed = false;
+  let doc;
+  try {
+    const result = await Model.findOneAndUpdate(key, { $setOnInsert: fields }, {
+      upsert: true,
+      new: true,
+      includeResultMetadata: true,
+    });
+    doc = result.value;
+    claimed = !result.lastErrorObject?.updatedExisting;
+  } catch (err) {
+    // Two upserts raced on the unique key; the other one claimed it
+    if (err.code !== 11000) throw err;
+    doc = await Model.findOne(key);
+  }
+
+  while (!doc.number) {
+    const abandoned = Date.now() - doc.issuedAt.getTime() > NUMBERING_TIMEOUT_MS;
+    if (!claimed && !abandoned) {
+      await sleep(NUMBERING_WAIT_MS);
+      doc = await Model.findById(doc._id);
+      continue;
+    }
+
+    const fy = financialYear(doc.issuedAt);
+    const number = format(doc, fy, await nextSequence(`${series(doc)}-${fy}`));
+    doc = (await Model.findOneAndUpdate({ _id: doc._id, number: null }, { $set: { number } }, { new: true }))
+      || (await Model.findById(doc._id));
+    claimed = false;
+  }
+  return doc;
+};
+
+const sequenceNumber = (seq) => String(seq).padStart(6, "0");
+
+// ------------------- ISSUE -------------------
+// Returns the booking's invoice, creating it (with the next number) on first use
+export const issueInvoice = async (booking, { email } = {}) => {
+  const existing = await Invoice.findOne({ booking: booking._id, number: { $ne: null } });
+  if (existing) return existing;
+
+  const item = booking.type === "place" ? booking.place : booking.item;
+  const taxes = taxBreakdown(booking, item);
+
+  return issueNumbered(Invoice, { booking: booking._id }, {
+    user: booking.user,
+    issuedAt: new Date(),
+    seller: SELLER,
+    buyer: { name: booking.name, phone: booking.phone, email },
+    currency: booking.currency,
+    ...taxes,
+  }, {
+    series: () => "invoice",
+    format: (invoice, fy, seq) => `DOM/${fy}/${sequenceNumber(seq)}`,
+  });
+};
+
+// ------------------- CREDIT / DEBIT NOTES -------------------
+// Lines are matched on what they are and how they are taxed; amounts and
+// quantities are netted across the invoice and every note against it.
+const lineKey = (line) => `${line.description}|${line.sac}|${line.gstRate}`;
+
+const netLines = (lines) => {
+  const byKey = new Map();
+  for (const line of lines) {
+    const key = lineKey(line);
+    const net = byKey.get(key) || {
+      description: line.description, sac: line.sac, unit: line.unit, gstRate: line.gstRate, quantity: 0, amount: 0,
+    };
+    net.quantity += line.quantity || 0;
+    net.amount = round2(net.amount + line.amount);
+    byKey.set(key, net);
+  }
+  return byKey;
+};
+
+const invoicedLines = async (invoice) => {
+  const notes = await InvoiceNote.find({ invoice: invoice._id });
+  return netLines([...invoice.lineItems, ...notes.flatMap((n) => n.lineItems)]);
+};
+
+const withUnitPrice = (line) => ({
+  ...line,
+  unitPrice: line.quantity ? round2(line.amount / line.quantity) : line.amount,
+});
+
+// Bookings that were paid for and confirmed have (or get) an invoice to amend
+const invoiceToAmend = async (bookingId) => {
+  const booking = await Booking.findById(bookingId).populate("place").populate("item").populate("user", "email");
+  if (!booking?.paidAt || booking.status === "failed") return null;
+  return issueInvoice(booking, { email: booking.user?.email });
+};
+
+const issueNote = async (invoice, { source, reason, lines }) => {
+  const existing = await InvoiceNote.findOne({ source, number: { $ne: null } });
+  if (existing) return existing;
+
+  const lineItems = lines
+    .filter((line) => line.amount !== 0)
+    .map((line) => taxLine(withUnitPrice(line), invoice.interState));
+  const totals = totalsOf(lineItems);
+  if (!totals.total) return null;
+
+  const kind = totals.total < 0 ? "credit" : "debit";
+  return issueNumbered(InvoiceNote, { source }, {
+    kind,
+    invoice: invoice._id,
+    invoiceNumber: invoice.number,
+    booking: invoice.booking,
+    user: invoice.user,
+    reason,
+    issuedAt: new Date(),
+    seller: SELLER,
+    buyer: invoice.buyer,
+    placeOfSupply: invoice.placeOfSupply,
+    interState: invoice.interState,
+    currency: invoice.currency,
+    lineItems,
+    ...totals,
+  }, {
+    series: (note) => `${note.kind}-note`,
+    format: (note, fy, seq) => `DOM/${note.kind === "credit" ? "CN" : "DN"}/${fy}/${sequenceNumber(seq)}`,
+  });
+};
+
+// A refund is credited pro rata across what is still invoiced. Modification
+// refunds are covered by the modification's own note.
+export const creditRefund = async (refund) => {
+  if (refund.kind === "modification" || refund.kind === "duplicate") return null;
+
+  const invoice = await invoiceToAmend(refund.booking);
+  if (!invoice) return null;
+
+  const lines = [...(await invoicedLines(invoice)).values()].filter((l) => l.amount > 0);
+  const invoiced = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+  const credit = Math.min(refund.amount, invoiced);
+  if (credit <= 0) return null;
+
+  let left = credit;
+  return issueNote(invoice, {
+    source: refund._id,
+    reason: refund.reason || "Refund",
+    lines: lines.map((line, i) => {
+      const amount = i === lines.length - 1 ? round2(left) : round2((line.amount * credit) / invoiced);
+      left -= amount;
+      return { ...line, quantity: 0, amount: -amount };
+    }),
+  });
+};
+
+// After a date / guest change the booking is priced again and the difference
+// with what was invoiced goes on a note
+export const amendInvoiceForModification = async (booking, modification) => {
+  const invoice = await invoiceToAmend(booking._id);
+  if (!invoice) return null;
+
+  const current = await Booking.findById(booking._id).populate("place").populate("item");
+  const item = current.type === "place" ? current.place : current.item;
+  const now = netLines(buildLineItems(current, item));
+  const before = await invoicedLines(invoice);
+
+  const lines = [];
+  for (const key of new Set([...now.keys(), ...before.keys()])) {
+    const next = now.get(key);
+    const prev = before.get(key);
+    const line = next || prev;
+    lines.push({
+      ...line,
+      quantity: (next?.quantity || 0) - (prev?.quantity || 0),
+      amount: round2((next?.amount || 0) - (prev?.amount || 0)),
+    });
+  }
+
+  return issueNote(invoice, { source: modification._id, reason: "Booking modified", lines });
+};
+
+export const bookingInvoiceNotes = (bookingId) =>
+  InvoiceNote.find({ booking: bookingId, number: { $ne: null } }).sort({ issuedAt: 1 });
+
+// ------------------- RENDER -------------------
+const formatAmount = (n, currency) => `${currency || "INR"} ${Number(n || 0).toFixed(2)}`;
+
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+export const invoiceFilename = (invoice, ext) => `${invoice.number.replace(/\//g, "-")}.${ext}`;
+
+// Invoices and credit / debit notes share the layout
+const documentTitle = (doc) => ({ credit: "Credit Note", debit: "Debit Note" })[doc.kind] || "Tax Invoice";
+const quantityLabel = (l) => (l.quantity ? `${l.quantity} ${l.unit}${l.quantity === 1 ? "" : "s"}` : "-");
+
+export const renderInvoiceHtml = (invoice) => {
+  const money = (n) => formatAmount(n, invoice.currency);
+  const rows = invoice.lineItems
+    .map(
+      (l) => `<tr>
+        <td>${escapeHtml(l.description)}</td><td>${l.sac}</td>
+        <td>${quantityLabel(l)}</td>
+        <td>${money(l.unitPrice)}</td><td>${money(l.taxableValue)}</td><td>${l.gstRate}%</td>
+        <td>${money(l.amount)}</td>
+      </tr>`
+    )
+    .join("");
+
+  const taxRows = invoice.interState
+    ? `<tr><td>IGST</td><td>${money(invoice.igst)}</td></tr>`
+    : `<tr><td>CGST</td><td>${money(invoice.cgst)}</td></tr><tr><td>SGST</td><td>${money(invoice.sgst)}</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${documentTitle(invoice)} ${escapeHtml(invoice.number)}</title>
+<style>body{font-family:sans-serif;margin:32px}table{border-collapse:collapse;width:100%}td,th{border:1px solid #ccc;padding:6px;text-align:left}</style>
+</head><body>
+<h1>${documentTitle(invoice)}</h1>
+<p><strong>${escapeHtml(invoice.seller.name)}</strong><br>${escapeHtml(invoice.seller.address)}<br>
+GSTIN: ${escapeHtml(invoice.seller.gstin || "N/A")} &middot; State: ${escapeHtml(invoice.seller.state)}</p>
+<p>${invoice.kind ? "Note" : "Invoice"} No: <strong>${escapeHtml(invoice.number)}</strong><br>
+${invoice.invoiceNumber ? `Against invoice: ${escapeHtml(invoice.invoiceNumber)}<br>` : ""}Date: ${invoice.issuedAt.toISOString().slice(0, 10)}<br>
+Booking: ${invoice.booking}<br>
+${invoice.reason ? `Reason: ${escapeHtml(invoice.reason)}<br>` : ""}Place of supply: ${escapeHtml(invoice.placeOfSupply)}</p>
+<p>Billed to: ${escapeHtml(invoice.buyer.name)}${invoice.buyer.phone ? `, ${escapeHtml(invoice.buyer.phone)}` : ""}</p>
+<table><thead><tr><th>Description</th><th>SAC</th><th>Qty</th><th>Rate</th><th>Taxable value</th><th>GST</th><th>Amount</th></tr></thead>
+<tbody>${rows}</tbody></table>
+<table style="width:auto;margin-top:16px">
+<tr><td>Taxable value</td><td>${money(invoice.taxableValue)}</td></tr>
+${taxRows}
+<tr><th>Total</th><th>${money(invoice.total)}</th></tr>
+</table>
+</body></html>`;
+};
+
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const money = (n) => formatAmount(n, invoice.currency);
+    const doc = new PDFDocument({ size: "A4", margin: 48 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(18).text(documentTitle(invoice), { align: "right" });
+    doc.moveDown(0.5);
+    doc.fontSize(11).text(invoice.seller.name);
+    if (invoice.seller.address) doc.fontSize(9).text(invoice.seller.address);
+    doc.fontSize(9).text(`GSTIN: ${invoice.seller.gstin || "N/A"}   State: ${invoice.seller.state}`);
+    doc.moveDown();
+
+    doc.text(`${invoice.kind ? "Note" : "Invoice"} No: ${invoice.number}`);
+    if (invoice.invoiceNumber) doc.text(`Against invoice: ${invoice.invoiceNumber}`);
+    doc.text(`Date: ${invoice.issuedAt.toISOString().slice(0, 10)}`);
+    doc.text(`Booking: ${invoice.booking}`);
+    if (invoice.reason) doc.text(`Reason: ${invoice.reason}`);
+    doc.text(`Place of supply: ${invoice.placeOfSupply}`);
+    doc.text(`Billed to: ${invoice.buyer.name}${invoice.buyer.phone ? `, ${invoice.buyer.phone}` : ""}`);
+    doc.moveDown();
+
+    const columns = [48, 230, 285, 340, 410, 480];
+    const row = (cells, y) => cells.forEach((cell, i) => doc.text(cell, columns[i], y, { width: 100 }));
+
+    let y = doc.y;
+    doc.font("Helvetica-Bold");
+    row(["Description", "SAC", "Qty", "Taxable", "GST", "Amount"], y);
+    doc.font("Helvetica");
+
+    for (const l of invoice.lineItems) {
+      y = doc.y + 6;
+      doc.text(l.description, columns[0], y, { width: 175 });
+      const nextY = doc.y;
+      row(["", l.sac, l.quantity ? `${l.quantity} ${l.unit}` : "-", money(l.taxableValue), `${l.gstRate}%`, money(l.amount)], y);
+      doc.y = Math.max(nextY, doc.y);
+    }
+
+    doc.moveDown(2);
+    const totals = [["Taxable value", invoice.taxableValue]];
+    if (invoice.interState) totals.push(["IGST", invoice.igst]);
+    else totals.push(["CGST", invoice.cgst], ["SGST", invoice.sgst]);
+    totals.push(["Total", invoice.total]);
+
+    for (const [label, value] of totals) {
+      y = doc.y;
+      doc.text(label, 340, y);
+      doc.text(money(value), 480, y);
+    }
+
+    doc.end();
+  });
@@ -0,0 +1,258 @@
+import mongoose from "mongoose";
+import LedgerEntry from "../models/LedgerEntry.js";
+import Payout from "../models/Payout.js";
+import Place from "../models/Place.js";
+import { bookingSubtotal } from "./pricing.js";
+
+// Host earnings and platform fees. Entries are only ever appended:
+//   confirmed booking -> host "earning" (subtotal) + platform "service_fee"
+//   modified booking   -> "adjustment" on both accounts once the difference is settled
+//   cancellation refund -> "reversal" of what was given back
+//   payout sent        -> host "payout" (negative)
+// A host's balance is the sum of their entries per currency.
+
+const round = (n) => +n.toFixed(2);
+
+// Only places have a host account; experiences and services earn nothing here
+const hostOf = async (booking) => {
+  if (booking.type !== "place" || !booking.place) return null;
+  if (booking.place.owner) return booking.place.owner;
+  const place = await Place.findById(booking.place).select("owner");
+  return place?.owner || null;
+};
+
+const entry = (booking, fields) => ({
+  booking: booking._id,
+  currency: booking.currency || "INR",
+  ...fields,
+});
+
+const insertEntries = async (entries) => {
+  const nonZero = entries.filter((e) => e.amount !== 0);
+  if (!nonZero.length) return [];
+  try {
+    return await LedgerEntry.insertMany(nonZero, { ordered: false });
+  } catch (err) {
+    // Duplicate key: the same booking/refund was already recorded
+    if (err.code === 11000 || err.writeErrors?.every((e) => e.code === 11000)) return [];
+    throw err;
+  }
+};
+
+// ------------------- BOOKING EVENTS -------------------
+export const recordBookingEarning = async (booking) => {
+  const host = await hostOf(booking);
+  const entries = [
+    entry(booking, {
+      account: "platform",
+      type: "service_fee",
+      amount: round(booking.serviceFee || 0),
+      description: "Service fee",
+    }),
+  ];
+  if (host) {
+    entries.push(entry(booking, {
+      account: "host",
+      host,
+      type: "earning",
+      amount: round(bookingSubtotal(booking)),
+      description: "Booking confirmed",
+    }));
+  }
+  return insertEntries(entries);
+};
+
+// Price changes of a paid booking: decreases when the change is made,
+// increases once their extra charge is captured
+export const recordModification = async (booking, modification) => {
+  const host = await hostOf(booking);
+  const entries = [
+    entry(booking, {
+      account: "platform",
+      modification: modification._id,
+      type: "adjustment",
+      amount: round(modification.serviceFeeDelta || 0),
+      description: "Service fee change after booking modification",
+    }),
+  ];
+  if (host) {
+    entries.push(entry(booking, {
+      account: "host",
+      host,
+      modification: modification._id,
+      type: "adjustment",
+      amount: round(modification.subtotalDelta || 0),
+      description: "Booking modified",
+    }));
+  }
+  return insertEntries(entries);
+};
+
+// Cancellation refunds give back the host's share first; the service fee is
+// only part of a refund that exceeds the subtotal (full refunds).
+export const recordRefund = async (refund, booking) => {
+  if (refund.kind === "modification") return []; // covered by recordModification
+  if (refund.kind === "duplicate") return []; // the extra payment was never earned
+
+  const credited = await LedgerEntry.exists({ booking: booking._id, type: { $in: ["earning", "service_fee"] } });
+  if (!credited) return []; // never confirmed, e.g. a hold that lapsed while paying
+
+  const subtotal = bookingSubtotal(booking);
+  const feePart = Math.min(booking.serviceFee || 0, Math.max(0, refund.amount - subtotal));
+  const hostPart = refund.amount - feePart;
+
+  const host = await hostOf(booking);
+  const entries = [
+    entry(booking, {
+      account: "platform",
+      refund: refund._id,
+      type: "reversal",
+      amount: -round(feePart),
+      description: "Service fee refunded",
+    }),
+  ];
+  if (host) {
+    entries.push(entry(booking, {
+      account: "host",
+      host,
+      refund: refund._id,
+      type: "reversal",
+      amount: -round(hostPart),
+      description: "Refund after cancellation",
+    }));
+  }
+  return insertEntries(entries);
+};
+
+// ------------------- PAYOUTS -------------------
+export const recordPayout = async (payout) => {
+  const [recorded] = await insertEntries([{
+    account: "host",
+    host: payout.host,
+    payout: payout._id,
+    type: "payout",
+    amount: -round(payout.amount),
+    currency: payout.currency,
+    description: payout.reference ? `Payout ${payout.reference}` : "Payout",
+    occurredAt: payout.sentAt,
+  }]);
+  return recorded || null;
+};
+
+// ------------------- BALANCES -------------------
+const hostMatch = (hostId, extra = {}) => ({
+  account: "host",
+  host: new mongoose.Types.ObjectId(String(hostId)),
+  ...extra,
+});
+
+const sumByCurrency = async (match) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    { $group: { _id: "$currency", total: { $sum: "$amount" } } },
+  ]);
+  return Object.fromEntries(rows.map((r) => [r._id, round(r.total)]));
+};
+
+// Per currency: ledger balance, payouts requested but not sent, and what can
+// still be requested
+export const hostBalance = async (hostId) => {
+  const [balances, pendingRows] = await Promise.all([
+    sumByCurrency(hostMatch(hostId)),
+    Payout.aggregate([
+      { $match: { host: new mongoose.Types.ObjectId(String(hostId)), status: "pending" } },
+      { $group: { _id: "$currency", total: { $sum: "$amount" } } },
+    ]),
+  ]);
+  const pending = Object.fromEntries(pendingRows.map((r) => [r._id, round(r.total)]));
+
+  const currencies = [...new Set([...Object.keys(balances), ...Object.keys(pending)])].sort();
+  return currencies.map((currency) => {
+    const balance = balances[currency] || 0;
+    const pendingPayouts = pending[currency] || 0;
+    return { currency, balance, pendingPayouts, available: round(balance - pendingPayouts) };
+  });
+};
+
+// Creates a pending payout (default: everything available). The payout is
+// written first and the balance re-checked with it included, so parallel
+// requests cannot together exceed the balance: any that overdraw are removed.
+export const requestHostPayout = async (hostId, { currency, amount, note }) => {
+  const availableIn = async () =>
+    (await hostBalance(hostId)).find((b) => b.currency === currency)?.available || 0;
+
+  const available = await availableIn();
+  const requested = amount === undefined ? available : Number(amount);
+  if (!Number.isFinite(requested) || requested <= 0) return { error: "Nothing available to pay out" };
+  if (requested > available) return { error: "Amount exceeds available balance", available };
+
+  const payout = await Payout.create({ host: hostId, amount: round(requested), currency, note });
+  if ((await availableIn()) < 0) {
+    await Payout.deleteOne({ _id: payout._id });
+    return { error: "Balance changed while requesting the payout, please try again", available: await availableIn() };
+  }
+  return { payout };
+};
+
+// ------------------- STATEMENTS -------------------
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+export const monthRange = (month) => {
+  const match = MONTH_PATTERN.exec(month || "");
+  if (!match) return null;
+  const year = Number(match[1]);
+  const index = Number(match[2]) - 1;
+  return { start: new Date(Date.UTC(year, index, 1)), end: new Date(Date.UTC(year, index + 1, 1)) };
+};
+
+// Months (YYYY-MM, UTC) in which the host has any entries, newest first
+export const statementMonths = async (hostId) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: hostMatch(hostId) },
+    { $group: { _id: { $dateToString: { format: "%Y-%m", date: "$occurredAt" } } } },
+    { $sort: { _id: -1 } },
+  ]);
+  return rows.map((r) => r._id);
+};
+
+export const monthlyStatement = async (hostId, month) => {
+  const range = monthRange(month);
+  if (!range) return null;
+
+  const [opening, entries] = await Promise.all([
+    sumByCurrency(hostMatch(hostId, { occurredAt: { $lt: range.start } })),
+    LedgerEntry.find(hostMatch(hostId, { occurredAt: { $gte: range.start, $lt: range.end } }))
+      .sort({ occurredAt: 1 })
+      .populate("booking", "place checkIn checkOut name status")
+      .lean(),
+  ]);
+
+  const byCurrency = {};
+  const summaryFor = (currency) =>
+    (byCurrency[currency] ||= {
+      currency,
+      openingBalance: opening[currency] || 0,
+      earnings: 0,
+      adjustments: 0,
+      reversals: 0,
+      payouts: 0,
+      closingBalance: opening[currency] || 0,
+    });
+
+  for (const currency of Object.keys(opening)) summaryFor(currency);
+
+  const TOTAL_FIELDS = { earning: "earnings", adjustment: "adjustments", reversal: "reversals", payout: "payouts" };
+  for (const e of entries) {
+    const summary = summaryFor(e.currency);
+    summary[TOTAL_FIELDS[e.type]] = round(summary[TOTAL_FIELDS[e.type]] + e.amount);
+    summary.closingBalance = round(summary.closingBalance + e.amount);
+  }
+
+  return {
+    month,
+    from: range.start,
+    to: range.end,
+    totals: Object.values(byCurrency).sort((a, b) => a.currency.localeCompare(b.currency)),
+    entries,
+  };
+};
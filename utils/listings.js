@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+import Place from "../models/Place.js";
+import Experience from "../models/Experience.js";
+import { Service } from "../models/Service.js";
+
+export const LISTING_MODELS = {
+  place: Place,
+  experience: Experience,
+  service: Service,
+};
+
+export const LISTING_TYPES = Object.keys(LISTING_MODELS);
+
+// Loads a place / experience / service; null for unknown types or ids
+export const findListing = (type, id) => {
+  const Model = LISTING_MODELS[type];
+  if (!Model || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return Model.findById(id);
+};
+
+// Matches listings visible to guests (documents predating the flag count as published)
+export const PUBLISHED = { published: { $ne: false } };
+
+export const isPublished = (listing) => listing?.published !== false;
@@ -0,0 +1,191 @@
+import { formatMoney } from "./currency.js";
+import { describeGuests } from "./guests.js";
+import { toDateKey } from "./availability.js";
+
+// Every template takes plain data and returns { subject, text, html }.
+// Bookings are expected with place / item populated.
+
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const layout = (title, paragraphs, rows = []) => {
+  const table = rows.length
+    ? `<table style="border-collapse:collapse;margin:16px 0">${rows
+        .map(([label, value]) => `<tr><td style="padding:4px 16px 4px 0;color:#555">${escapeHtml(label)}</td><td style="padding:4px 0">${escapeHtml(value)}</td></tr>`)
+        .join("")}</table>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family:sans-serif;color:#222;max-width:560px;margin:24px auto">
+<h2>${escapeHtml(title)}</h2>
+${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join("\n")}
+${table}
+<p style="color:#888;font-size:12px">Domio</p>
+</body></html>`;
+};
+
+const textLayout = (paragraphs, rows = []) =>
+  [...paragraphs, "", ...rows.map(([label, value]) => `${label}: ${value}`), "", "Domio"].join("\n");
+
+const build = (subject, title, paragraphs, rows) => ({
+  subject,
+  text: textLayout(paragraphs, rows),
+  html: layout(title, paragraphs, rows),
+});
+
+// ------------------- BOOKING SUMMARY -------------------
+export const listingTitle = (booking) =>
+  (booking.type === "place" ? booking.place?.title : booking.item?.title) || "your booking";
+
+const whenRows = (booking) =>
+  booking.type === "place"
+    ? [["Check-in", toDateKey(booking.checkIn)], ["Check-out", toDateKey(booking.checkOut)]]
+    : [["Date", `${toDateKey(booking.date) || "N/A"}${booking.startTime ? ` ${booking.startTime}` : ""}`]];
+
+// One row per charge / discount that makes up the total
+export const chargeRows = (booking) => {
+  const money = (amount) => formatMoney(amount, booking.currency);
+  const rows = [[booking.type === "place" ? "Stay" : "Price", money(booking.price)]];
+  if (booking.extraGuestFee) rows.push(["Extra guest fee", money(booking.extraGuestFee)]);
+  if (booking.stayDiscount?.amount) {
+    const label = booking.stayDiscount.kind === "monthly" ? "Monthly" : "Weekly";
+    rows.push([`${label} discount (${booking.stayDiscount.percent}%)`, `-${money(booking.stayDiscount.amount)}`]);
+  }
+  if (booking.cleaningFee) rows.push(["Cleaning fee", money(booking.cleaningFee)]);
+  if (booking.discount?.amount) rows.push([`Discount (${booking.discount.code})`, `-${money(booking.discount.amount)}`]);
+  rows.push(["Service fee", money(booking.serviceFee)]);
+  rows.push(["Total", money(booking.totalAmount)]);
+  return rows;
+};
+
+const summaryRows = (booking) => [
+  ["Booking ID", String(booking._id)],
+  ["Listing", listingTitle(booking)],
+  ...whenRows(booking),
+  ["Guests", describeGuests(booking.guests, booking.numberOfGuests)],
+];
+
+// ------------------- TEMPLATES -------------------
+export const TEMPLATES = {
+  "booking-confirmed": ({ booking }) =>
+    build(
+      `Booking confirmed: ${listingTitle(booking)}`,
+      "Your booking is confirmed",
+      [`Hi ${booking.name}, your payment went through and ${listingTitle(booking)} is booked.`, "Your tax invoice is attached."],
+      [...summaryRows(booking), ...chargeRows(booking)]
+    ),
+
+  "booking-receipt": ({ booking }) =>
+    build(
+      "Your Booking Receipt - Domio",
+      "Booking receipt",
+      ["Thank you for your booking with Domio!"],
+      [
+        ...summaryRows(booking),
+        ["Transaction ID", booking.transactionId || "N/A"],
+        ["Guest name", booking.name],
+        ["Phone", booking.phone],
+        ...chargeRows(booking),
+      ]
+    ),
+
+  "booking-canceled": ({ booking }) =>
+    build(
+      `Booking canceled: ${listingTitle(booking)}`,
+      "Your booking was canceled",
+      [
+        `Hi ${booking.name}, your booking for ${listingTitle(booking)} has been canceled.`,
+        booking.refundableAmount
+          ? `You are eligible for a refund of ${formatMoney(booking.refundableAmount, booking.currency)}. Request it from your bookings page if you haven't already.`
+          : "Under the cancellation policy this booking is not eligible for a refund.",
+      ],
+      summaryRows(booking)
+    ),
+
+  "refund-processed": ({ booking, refund, recipientName = booking.name }) =>
+    build(
+      `Refund processed: ${formatMoney(refund.amount, refund.currency)}`,
+      "Your refund is on its way",
+      [
+        `Hi ${recipientName}, we have refunded ${formatMoney(refund.amount, refund.currency)} for ${listingTitle(booking)}.`,
+        refund.gateway === "manual"
+          ? "Our team will transfer it to you directly."
+          : "It should reach your original payment method within 5-7 business days.",
+      ],
+      [["Booking ID", String(booking._id)], ["Refund ID", String(refund._id)]]
+    ),
+
+  "split-payment-invite": ({ booking, share }) =>
+    build(
+      `${booking.name} invited you to split ${listingTitle(booking)}`,
+      "Pay your share",
+      [
+        `${booking.name} is booking ${listingTitle(booking)} and has asked you to pay ${formatMoney(share.amount, booking.currency)} of it.`,
+        `Pay from the "Split payments" section of your Domio account (sign up with this email address if you don't have one) before ${booking.split.deadline.toISOString()}. If any share is still unpaid by then the booking is released and paid shares are refunded.`,
+      ],
+      [...summaryRows(booking), ["Your share", formatMoney(share.amount, booking.currency)], ["Total", formatMoney(booking.totalAmount, booking.currency)]]
+    ),
+
+  "host-booking-request": ({ booking }) =>
+    build(
+      `New booking request: ${listingTitle(booking)}`,
+      "You have a new booking request",
+      [
+        `${booking.name} would like to book ${listingTitle(booking)}.`,
+        `Please accept or decline before ${booking.hostApproval?.deadline?.toISOString?.() || "the deadline"}.`,
+      ],
+      summaryRows(booking)
+    ),
+
+  "host-booking-confirmed": ({ booking }) =>
+    build(
+      `New booking: ${listingTitle(booking)}`,
+      "You have a new booking",
+      [`${booking.name} has booked ${listingTitle(booking)}.`],
+      summaryRows(booking)
+    ),
+
+  "host-booking-canceled": ({ booking }) =>
+    build(
+      `Booking canceled: ${listingTitle(booking)}`,
+      "A booking was canceled",
+      [`${booking.name} canceled their booking for ${listingTitle(booking)}. The dates are open again.`],
+      summaryRows(booking)
+    ),
+
+  // ------------------- ACCOUNT -------------------
+  "verify-email": ({ name, link, hours }) =>
+    build(
+      "Confirm your email address - Domio",
+      "Confirm your email address",
+      [`Hi ${name}, please confirm this is your email address by opening the link below.`, link, `The link expires in ${hours} hours.`]
+    ),
+
+  "password-reset": ({ name, link, minutes }) =>
+    build(
+      "Reset your password - Domio",
+      "Reset your password",
+      [
+        `Hi ${name}, we received a request to reset your password. Open the link below to choose a new one.`,
+        link,
+        `The link expires in ${minutes} minutes and works once. If you didn't ask for this, you can ignore this email.`,
+      ]
+    ),
+
+  "password-changed": ({ name }) =>
+    build(
+      "Your password was changed - Domio",
+      "Your password was changed",
+      [
+        `Hi ${name}, the password for your Domio account was just changed and other devices were logged out.`,
+        "If this wasn't you, reset your password straight away.",
+      ]
+    ),
+};
+
+export const renderTemplate = (name, data) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown mail template "${name}"`);
+  return template(data);
+};
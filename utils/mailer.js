@@ -0,0 +1,144 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import nodemailer from "nodemailer";
+import OutboxEmail from "../models/OutboxEmail.js";
+import { renderTemplate } from "./mailTemplates.js";
+
+// Read lazily: server.js loads .env after the imports are evaluated
+const mailFrom = () => process.env.MAIL_FROM || '"Domio" <no-reply@domio.com>';
+const maxAttempts = () => Number(process.env.MAIL_MAX_ATTEMPTS) || 5;
+
+// Wait before attempt 2, 3, 4, ...
+const RETRY_MINUTES = [1, 5, 15, 60];
+// A send that never finished (process died mid-send) is retried after this
+const STUCK_MINUTES = 10;
+
+const ONE_MINUTE = 1000 * 60;
+
+// ------------------- TRANSPORTS -------------------
+// MAIL_TRANSPORT=smtp|file|log. Without it we use SMTP when it is configured
+// and otherwise just log, so development never needs a mail server.
+export const transportName = () =>
+  process.env.MAIL_TRANSPORT ||
+  (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS ? "smtp" : "log");
+
+const createSmtpTransport = () =>
+  nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT || 587,
+    secure: process.env.SMTP_PORT == 465, // true for port 465
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  });
+
+// Writes each message as an .eml file (MAIL_DIR, default the OS temp dir)
+const createFileTransport = () => {
+  const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), "domio-mail");
+  const stream = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    async sendMail(message) {
+      const info = await stream.sendMail(message);
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.eml`);
+      await fs.writeFile(file, info.message);
+      return { messageId: info.messageId, file };
+    },
+  };
+};
+
+const createLogTransport = () => ({
+  async sendMail(message) {
+    console.log(`[mail] to=${message.to} subject="${message.subject}" attachments=${message.attachments?.length || 0}`);
+    return { messageId: `log-${Date.now()}` };
+  },
+});
+
+let transport;
+
+export const getTransport = () => {
+  if (transport) return transport;
+
+  const name = transportName();
+  if (name === "smtp") transport = createSmtpTransport();
+  else if (name === "file") transport = createFileTransport();
+  else transport = createLogTransport();
+  return transport;
+};
+
+// Lets tests or scripts swap in their own implementation.
+export const setTransport = (impl) => {
+  transport = impl;
+};
+
+// ------------------- OUTBOX -------------------
+// Renders a template into the outbox and tries to send it straight away;
+// anything that fails is picked up again by processOutbox. `sensitive` mails
+// only keep their body until it is no longer needed for a retry.
+export const enqueueMail = async ({ to, template, data, attachments = [], event, booking, sensitive = false }) => {
+  const { subject, text, html } = renderTemplate(template, data);
+  const email = await OutboxEmail.create({ to, subject, text, html, attachments, template, event, booking, sensitive });
+
+  deliver(email).catch((err) => console.error("Mail delivery error:", err));
+  return email;
+};
+
+export const deliver = async (email) => {
+  // Only one worker gets to send a given message
+  const claimed = await OutboxEmail.findOneAndUpdate(
+    { _id: email._id, status: "pending" },
+    { $set: { status: "sending" }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  try {
+    const info = await getTransport().sendMail({
+      from: mailFrom(),
+      to: claimed.to,
+      subject: claimed.subject,
+      text: claimed.text,
+      html: claimed.html,
+      attachments: claimed.attachments.map(({ filename, contentType, content }) => ({ filename, contentType, content })),
+    });
+    claimed.status = "sent";
+    claimed.sentAt = new Date();
+    claimed.messageId = info?.messageId;
+    claimed.transport = transportName();
+    claimed.lastError = undefined;
+  } catch (err) {
+    claimed.lastError = err.message || "Send failed";
+    if (claimed.attempts >= maxAttempts()) {
+      claimed.status = "failed";
+    } else {
+      const wait = RETRY_MINUTES[Math.min(claimed.attempts - 1, RETRY_MINUTES.length - 1)];
+      claimed.status = "pending";
+      claimed.nextAttemptAt = new Date(Date.now() + wait * ONE_MINUTE);
+    }
+  }
+
+  if (claimed.sensitive && claimed.status !== "pending") {
+    claimed.text = undefined;
+    claimed.html = undefined;
+  }
+  await claimed.save();
+  return claimed;
+};
+
+// Scheduler entry point: retry due messages
+export const processOutbox = async (now = new Date()) => {
+  await OutboxEmail.updateMany(
+    { status: "sending", updatedAt: { $lte: new Date(now.getTime() - STUCK_MINUTES * ONE_MINUTE) } },
+    { $set: { status: "pending" } }
+  );
+
+  const due = await OutboxEmail.find({ status: "pending", nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(50);
+
+  for (const email of due) await deliver(email);
+  return due.length;
+};
@@ -0,0 +1,133 @@
+import Booking from "../models/Booking.js";
+import Refund from "../models/Refund.js";
+import User from "../models/User.js";
+import { EVENTS, onEvent } from "./events.js";
+import { enqueueMail } from "./mailer.js";
+import { issueInvoice, bookingInvoiceNotes, renderInvoicePdf, invoiceFilename } from "./invoices.js";
+
+// Turns booking events into outbox emails for guests and hosts
+
+const loadBooking = (bookingId) =>
+  Booking.findById(bookingId).populate("place").populate("item").populate("user", "email name");
+
+// Only places have a host account to notify
+const hostEmailFor = async (booking) => {
+  if (booking.type !== "place" || !booking.place?.owner) return null;
+  const host = await User.findById(booking.place.owner).select("email");
+  return host?.email || null;
+};
+
+const pdfAttachment = async (invoice) => ({
+  filename: invoiceFilename(invoice, "pdf"),
+  content: await renderInvoicePdf(invoice),
+  contentType: "application/pdf",
+});
+
+const invoiceAttachment = async (booking, email) => pdfAttachment(await issueInvoice(booking, { email }));
+
+const notifyHost = async (booking, template, event) => {
+  const to = await hostEmailFor(booking);
+  if (to) await enqueueMail({ to, template, data: { booking }, event, booking: booking._id });
+};
+
+// ------------------- HANDLERS -------------------
+export const registerMailNotifications = () => {
+  onEvent(EVENTS.BOOKING_REQUESTED, async ({ bookingId }) => {
+    const booking = await loadBooking(bookingId);
+    if (booking) await notifyHost(booking, "host-booking-request", EVENTS.BOOKING_REQUESTED);
+  });
+
+  onEvent(EVENTS.BOOKING_CONFIRMED, async ({ bookingId }) => {
+    const booking = await loadBooking(bookingId);
+    if (!booking) return;
+
+    const to = booking.user?.email;
+    if (to) {
+      await enqueueMail({
+        to,
+        template: "booking-confirmed",
+        data: { booking },
+        attachments: [await invoiceAttachment(booking, to)],
+        event: EVENTS.BOOKING_CONFIRMED,
+        booking: booking._id,
+      });
+    }
+    await notifyHost(booking, "host-booking-confirmed", EVENTS.BOOKING_CONFIRMED);
+  });
+
+  onEvent(EVENTS.BOOKING_CANCELED, async ({ bookingId }) => {
+    const booking = await loadBooking(bookingId);
+    if (!booking) return;
+
+    if (booking.user?.email) {
+      await enqueueMail({
+        to: booking.user.email,
+        template: "booking-canceled",
+        data: { booking },
+        event: EVENTS.BOOKING_CANCELED,
+        booking: booking._id,
+      });
+    }
+    await notifyHost(booking, "host-booking-canceled", EVENTS.BOOKING_CANCELED);
+  });
+
+  // Explicit "email me the receipt" from the guest, to any address
+  onEvent(EVENTS.RECEIPT_REQUESTED, async ({ bookingId, email }) => {
+    const booking = await loadBooking(bookingId);
+    if (!booking) return;
+
+    // Paid bookings get their tax invoice (and any notes amending it)
+    // attached, billed to the booker whichever address the receipt goes to
+    const attachments = [];
+    if (booking.status === "confirmed") {
+      attachments.push(await invoiceAttachment(booking, booking.user?.email));
+      for (const note of await bookingInvoiceNotes(booking._id)) attachments.push(await pdfAttachment(note));
+    }
+    await enqueueMail({
+      to: email,
+      template: "booking-receipt",
+      data: { booking },
+      attachments,
+      event: EVENTS.RECEIPT_REQUESTED,
+      booking: booking._id,
+    });
+  });
+
+  // Everyone the booker split the total with (the booker pays from the booking page)
+  onEvent(EVENTS.SPLIT_INVITED, async ({ bookingId }) => {
+    const booking = await loadBooking(bookingId);
+    if (!booking?.split?.shares) return;
+
+    const bookerId = booking.user?._id?.toString();
+    for (const share of booking.split.shares) {
+      if (share.user?.toString() === bookerId) continue;
+      await enqueueMail({
+        to: share.email,
+        template: "split-payment-invite",
+        data: { booking, share },
+        event: EVENTS.SPLIT_INVITED,
+        booking: booking._id,
+      });
+    }
+  });
+
+  onEvent(EVENTS.REFUND_PROCESSED, async ({ refundId }) => {
+    const refund = await Refund.findById(refundId);
+    if (!refund) return;
+    const booking = await loadBooking(refund.booking);
+    if (!booking) return;
+
+    // A split share goes back to whoever paid it
+    const share = refund.share && booking.split?.shares.id(refund.share);
+    const to = share ? share.email : booking.user?.email;
+    if (!to) return;
+
+    await enqueueMail({
+      to,
+      template: "refund-processed",
+      data: { booking, refund, recipientName: share ? "there" : booking.name },
+      event: EVENTS.REFUND_PROCESSED,
+      booking: booking._id,
+    });
+  });
+};
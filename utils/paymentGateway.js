@@ -0,0 +1,131 @@
+import crypto from "crypto";
+import Razorpay from "razorpay";
+
+// Every gateway exposes the same shape:
+//   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency }
+//   verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+//   verifyWebhookSignature(rawBody, signature) -> boolean
+//   refund({ paymentId, amount, notes }) -> { id, amount, status }
+// Amounts are always in the smallest currency unit (paise for INR, yen for JPY).
+
+const hmac = (secret, payload) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+const safeEqual = (expected, actual) => {
+  if (typeof actual !== "string" || expected.length !== actual.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+};
+
+// Minor units per currency (ISO 4217) where it isn't the usual 2
+const CURRENCY_DECIMALS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+};
+
+export const currencyDecimals = (currency = "INR") => CURRENCY_DECIMALS[String(currency).toUpperCase()] ?? 2;
+
+export const toSmallestUnit = (amount, currency) =>
+  Math.round(Number(amount) * 10 ** currencyDecimals(currency));
+
+export const fromSmallestUnit = (units, currency) => units / 10 ** currencyDecimals(currency);
+
+// ------------------- RAZORPAY -------------------
+export const createRazorpayGateway = ({
+  keyId = process.env.RAZORPAY_KEY_ID,
+  keySecret = process.env.RAZORPAY_KEY_SECRET,
+  webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET,
+} = {}) => {
+  if (!keyId || !keySecret) {
+    throw new Error("RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set");
+  }
+
+  const client = new Razorpay({ key_id: keyId, key_secret: keySecret });
+
+  return {
+    name: "razorpay",
+    keyId,
+
+    async createOrder({ amount, currency = "INR", receipt, notes = {} }) {
+      const order = await client.orders.create({ amount, currency, receipt, notes });
+      return { id: order.id, amount: order.amount, currency: order.currency };
+    },
+
+    verifyPaymentSignature({ orderId, paymentId, signature }) {
+      return safeEqual(hmac(keySecret, `${orderId}|${paymentId}`), signature);
+    },
+
+    verifyWebhookSignature(rawBody, signature) {
+      if (!webhookSecret) return false;
+      return safeEqual(hmac(webhookSecret, rawBody), signature);
+    },
+
+    async refund({ paymentId, amount, notes = {} }) {
+      const refund = await client.payments.refund(paymentId, { amount, notes });
+      return { id: refund.id, amount: refund.amount, status: refund.status };
+    },
+  };
+};
+
+// ------------------- FAKE (local dev / tests) -------------------
+// Behaves like Razorpay but never touches the network. Orders get random ids
+// and signatures are HMACs with a local secret, so callers can produce valid
+// ones through signPayment()/signWebhook().
+export const createFakeGateway = ({
+  secret = process.env.FAKE_GATEWAY_SECRET || "fake_gateway_secret",
+} = {}) => ({
+  name: "fake",
+  keyId: "fake_key",
+
+  async createOrder({ amount, currency = "INR", receipt, notes = {} }) {
+    return {
+      id: `order_fake_${crypto.randomBytes(7).toString("hex")}`,
+      amount,
+      currency,
+      receipt,
+      notes,
+    };
+  },
+
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    return safeEqual(hmac(secret, `${orderId}|${paymentId}`), signature);
+  },
+
+  verifyWebhookSignature(rawBody, signature) {
+    return safeEqual(hmac(secret, rawBody), signature);
+  },
+
+  async refund({ amount }) {
+    return {
+      id: `rfnd_fake_${crypto.randomBytes(7).toString("hex")}`,
+      amount,
+      status: "processed",
+    };
+  },
+
+  signPayment(orderId, paymentId) {
+    return hmac(secret, `${orderId}|${paymentId}`);
+  },
+
+  signWebhook(rawBody) {
+    return hmac(secret, rawBody);
+  },
+});
+
+// ------------------- SELECTION -------------------
+// PAYMENT_GATEWAY=razorpay|fake, razorpay by default. The fake gateway's
+// signatures can be forged by anyone who knows its secret, so it is only used
+// when asked for explicitly; missing Razorpay keys make payments fail instead.
+let gateway;
+
+export const getPaymentGateway = () => {
+  if (gateway) return gateway;
+
+  gateway = process.env.PAYMENT_GATEWAY === "fake" ? createFakeGateway() : createRazorpayGateway();
+  return gateway;
+};
+
+// Lets tests or scripts swap in their own implementation.
+export const setPaymentGateway = (impl) => {
+  gateway = impl;
+};
@@ -0,0 +1,120 @@
+import { eachNight, parseDateKey } from "./availability.js";
+import { applyCoupon } from "./coupons.js";
+
+// Friday and Saturday nights
+const WEEKEND_DAYS = [5, 6];
+
+const round2 = (n) => +Number(n).toFixed(2);
+
+// ------------------- NIGHTLY RATES -------------------
+// Resolution order for a single night:
+//   1. the narrowest price override covering it (single dates beat seasons)
+//   2. weekendPrice on Friday/Saturday nights
+//   3. the flat base price
+export const getNightlyRate = (place, dateKey) => {
+  const overrides = (place.priceOverrides || [])
+    .filter((o) => o.start <= dateKey && dateKey <= o.end)
+    .sort((a, b) => parseDateKey(a.end) - parseDateKey(a.start) - (parseDateKey(b.end) - parseDateKey(b.start)));
+
+  if (overrides.length) return overrides[0].price;
+
+  const isWeekend = WEEKEND_DAYS.includes(parseDateKey(dateKey).getUTCDay());
+  if (isWeekend && place.weekendPrice != null) return place.weekendPrice;
+
+  return place.price || 0;
+};
+
+export const priceStay = (place, checkIn, checkOut) => {
+  const nights = eachNight(checkIn, checkOut).map((date) => ({
+    date,
+    price: getNightlyRate(place, date),
+  }));
+  const subtotal = round2(nights.reduce((sum, n) => sum + n.price, 0));
+  return { nights, subtotal };
+};
+
+// ------------------- LONG STAYS & EXTRAS -------------------
+export const WEEKLY_MIN_NIGHTS = 7;
+export const MONTHLY_MIN_NIGHTS = 28;
+
+// Monthly replaces weekly rather than stacking with it
+export const stayDiscountFor = (place, nights) => {
+  if (nights >= MONTHLY_MIN_NIGHTS && place.monthlyDiscountPercent > 0) {
+    return { kind: "monthly", percent: place.monthlyDiscountPercent };
+  }
+  if (nights >= WEEKLY_MIN_NIGHTS && place.weeklyDiscountPercent > 0) {
+    return { kind: "weekly", percent: place.weeklyDiscountPercent };
+  }
+  return null;
+};
+
+// Charged per night for every counted guest above the base occupancy
+export const extraGuestFeeFor = (place, numberOfGuests, nights) => {
+  if (!place.extraGuestFee || !place.baseOccupancy) return 0;
+  const extraGuests = Math.max(0, numberOfGuests - place.baseOccupancy);
+  return round2(extraGuests * place.extraGuestFee * nights);
+};
+
+// ------------------- FEES -------------------
+// The 50 minimum is in the base currency; baseRate converts it to the charged one
+export const serviceFeeFor = (price, baseRate = 1) => Math.max(round2(50 * baseRate), round2(price * 0.05));
+
+// ------------------- BOOKING TOTALS -------------------
+// Single source of truth for what a booking costs. Places are priced per night,
+// experiences and services per counted guest. For places, the long-stay
+// discount covers nights and extra guests; the cleaning fee is added after it.
+// A coupon then comes off that subtotal before the service fee is worked out.
+//
+// `fx` prices the booking in another currency: `rate` converts the listing's
+// amounts and `baseRate` the base-currency ones (coupons, fee minimum). See
+// utils/currency.js.
+export const priceBooking = ({ type, item, checkIn, checkOut, numberOfGuests, coupon, fx }) => {
+  const { rate = 1, baseRate = 1 } = fx || {};
+  const convert = (amount) => round2((amount || 0) * rate);
+
+  let price;
+  let nightlyRates;
+  let extraGuestFee = 0;
+  let cleaningFee = 0;
+  let stayDiscount = null;
+
+  if (type === "place") {
+    const stay = priceStay(item, checkIn, checkOut);
+    nightlyRates = stay.nights.map((night) => ({ date: night.date, price: convert(night.price) }));
+    price = round2(nightlyRates.reduce((sum, n) => sum + n.price, 0));
+    extraGuestFee = convert(extraGuestFeeFor(item, numberOfGuests, stay.nights.length));
+    cleaningFee = convert(item.cleaningFee);
+
+    const longStay = stayDiscountFor(item, stay.nights.length);
+    if (longStay) {
+      stayDiscount = { ...longStay, amount: round2(((price + extraGuestFee) * longStay.percent) / 100) };
+    }
+  } else {
+    price = round2(convert(item.price) * numberOfGuests);
+  }
+
+  const subtotal = round2(price + extraGuestFee - (stayDiscount?.amount || 0) + cleaningFee);
+
+  let discount = 0;
+  let couponError = null;
+  if (coupon) {
+    ({ amount: discount, error: couponError } = applyCoupon(coupon, subtotal, baseRate));
+  }
+
+  const discountedSubtotal = round2(subtotal - discount);
+  const serviceFee = serviceFeeFor(discountedSubtotal, baseRate);
+  return {
+    price,
+    nightlyRates,
+    extraGuestFee,
+    cleaningFee,
+    stayDiscount,
+    discount,
+    couponError,
+    serviceFee,
+    totalAmount: round2(discountedSubtotal + serviceFee),
+  };
+};
+
+// What the guest pays for the booking itself, i.e. everything but the service fee
+export const bookingSubtotal = (booking) => round2((booking.totalAmount || 0) - (booking.serviceFee || 0));
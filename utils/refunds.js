@@ -0,0 +1,180 @@
+import Refund from "../models/Refund.js";
+import { getPaymentGateway, toSmallestUnit } from "./paymentGateway.js";
+import { EVENTS, emitEvent } from "./events.js";
+import { recordRefund } from "./ledger.js";
+import { creditRefund } from "./invoices.js";
+
+export const REFUND_STATUS = {
+  REQUESTED: "requested",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  PROCESSED: "processed",
+};
+
+const pushHistory = (refund, status, by, note) => {
+  refund.history.push({ status, by, note });
+};
+
+// ------------------- OPEN -------------------
+export const openRefund = async ({ booking, amount, reason, hostId, by, kind, share, paymentId }) => {
+  const refund = new Refund({
+    booking: booking._id,
+    user: booking.user,
+    host: hostId,
+    amount,
+    currency: booking.currency,
+    reason,
+    kind,
+    share,
+    paymentId,
+  });
+  pushHistory(refund, REFUND_STATUS.REQUESTED, by, reason);
+  await refund.save();
+  return refund;
+};
+
+// ------------------- DECIDE -------------------
+export const approveRefund = (refund, by, note) => {
+  refund.status = REFUND_STATUS.APPROVED;
+  refund.decidedBy = by;
+  refund.decidedAt = new Date();
+  refund.decisionNote = note;
+  pushHistory(refund, REFUND_STATUS.APPROVED, by, note);
+};
+
+export const rejectRefund = (refund, by, note) => {
+  refund.status = REFUND_STATUS.REJECTED;
+  refund.decidedBy = by;
+  refund.decidedAt = new Date();
+  refund.decisionNote = note;
+  pushHistory(refund, REFUND_STATUS.REJECTED, by, note);
+};
+
+// ------------------- CLAIM -------------------
+// A claim is held while a refund is with the gateway so two requests can't
+// send it twice. Claims older than this are treated as abandoned.
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+const unclaimed = () => ({
+  $or: [{ processingAt: null }, { processingAt: { $lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) } }],
+});
+
+// Atomically moves a requested refund to approved and claims it for processing.
+// Returns null if someone else decided it first.
+export const claimRefundApproval = (query, by, note) => {
+  const now = new Date();
+  return Refund.findOneAndUpdate(
+    { ...query, status: REFUND_STATUS.REQUESTED },
+    {
+      $set: { status: REFUND_STATUS.APPROVED, decidedBy: by, decidedAt: now, decisionNote: note, processingAt: now },
+      $push: { history: { status: REFUND_STATUS.APPROVED, by, note, at: now } },
+    },
+    { new: true },
+  );
+};
+
+// Atomically rejects a requested refund. Returns null if it was already decided.
+export const claimRefundRejection = (query, by, note) => {
+  const now = new Date();
+  return Refund.findOneAndUpdate(
+    { ...query, status: REFUND_STATUS.REQUESTED },
+    {
+      $set: { status: REFUND_STATUS.REJECTED, decidedBy: by, decidedAt: now, decisionNote: note },
+      $push: { history: { status: REFUND_STATUS.REJECTED, by, note, at: now } },
+    },
+    { new: true },
+  );
+};
+
+// Claims an approved refund for another processing attempt. Returns null if it
+// isn't approved or another attempt is still in flight.
+export const claimRefundRetry = (query) =>
+  Refund.findOneAndUpdate(
+    { ...query, status: REFUND_STATUS.APPROVED, ...unclaimed() },
+    { $set: { processingAt: new Date() } },
+    { new: true },
+  );
+
+// ------------------- PROCESS -------------------
+const round = (n) => +n.toFixed(2);
+
+// Where the money goes back to: the payment named on the refund, the booking's
+// payment or, for split payments, the paid shares (one share, or all of them
+// pro rata to what they still hold)
+const refundTargets = (booking, refund, amount) => {
+  if (refund.paymentId) return [{ paymentId: refund.paymentId, amount }];
+
+  const paidShares = (booking.split?.shares || []).filter((s) => s.status === "paid" && s.paymentId);
+  if (!paidShares.length) {
+    return booking.paymentId ? [{ paymentId: booking.paymentId, amount }] : [];
+  }
+
+  const shares = refund.share ? paidShares.filter((s) => s._id.equals(refund.share)) : paidShares;
+  const held = shares.map((s) => round(s.amount - (s.refunded || 0)));
+  const totalHeld = held.reduce((sum, h) => sum + h, 0);
+
+  let left = amount;
+  return shares
+    .map((share, i) => {
+      const part = i === shares.length - 1 ? round(left) : round(Math.min(held[i], (amount * held[i]) / totalHeld));
+      left -= part;
+      return { share, paymentId: share.paymentId, amount: part };
+    })
+    .filter((t) => t.amount > 0);
+};
+
+// Sends an approved refund to the gateway and moves the booking to "refunded".
+// Partial refunds (e.g. after a modification) leave the booking status alone.
+// Bookings without a gateway payment (legacy / test data) are settled manually.
+// Cancellation refunds are reversed in the host ledger and credited against
+// the booking's invoice.
+// Gateway failures leave the refund approved with lastError set so it can be
+// retried; parts already refunded are not sent again. Either way the
+// processing claim is released.
+export const processRefund = async (refund, booking, by, { partial = false } = {}) => {
+  if (refund.status !== REFUND_STATUS.APPROVED) {
+    throw new Error(`Cannot process a ${refund.status} refund`);
+  }
+
+  const done = refund.parts.reduce((sum, p) => sum + p.amount, 0);
+  const targets = refundTargets(booking, refund, round(refund.amount - done));
+
+  if (targets.length || refund.parts.length) {
+    const gateway = getPaymentGateway();
+    try {
+      for (const target of targets) {
+        const result = await gateway.refund({
+          paymentId: target.paymentId,
+          amount: toSmallestUnit(target.amount, refund.currency || booking.currency),
+          notes: { bookingId: booking._id.toString(), refundId: refund._id.toString() },
+        });
+        refund.parts.push({ paymentId: target.paymentId, amount: target.amount, gatewayRefundId: result.id });
+        if (target.share) target.share.refunded = round((target.share.refunded || 0) + target.amount);
+      }
+      refund.gateway = gateway.name;
+      refund.gatewayRefundId = refund.parts[0]?.gatewayRefundId;
+    } catch (err) {
+      refund.lastError = err.message || "Gateway refund failed";
+      refund.processingAt = undefined;
+      await refund.save();
+      if (booking.isModified()) await booking.save();
+      return false;
+    }
+  } else {
+    refund.gateway = "manual";
+  }
+
+  refund.status = REFUND_STATUS.PROCESSED;
+  refund.processedAt = new Date();
+  refund.lastError = undefined;
+  refund.processingAt = undefined;
+  pushHistory(refund, REFUND_STATUS.PROCESSED, by);
+  await refund.save();
+  await recordRefund(refund, booking);
+  await creditRefund(refund);
+  emitEvent(EVENTS.REFUND_PROCESSED, { refundId: refund._id });
+
+  if (!partial) booking.status = "refunded";
+  if (!partial || booking.isModified()) await booking.save();
+  return true;
+};
@@ -0,0 +1,30 @@
+// Tiny in-process job runner for periodic housekeeping (expiring requests,
+// holds, ...). Each job runs at most once at a time; errors are logged and the
+// job keeps its schedule.
+const timers = [];
+
+export const every = (intervalMs, name, job) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const count = await job();
+      if (count) console.log(`[${name}] processed ${count}`);
+    } catch (err) {
+      console.error(`[${name}] failed:`, err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  timers.push(timer);
+  return timer;
+};
+
+export const stopAll = () => {
+  timers.splice(0).forEach(clearInterval);
+};
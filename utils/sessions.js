@@ -0,0 +1,154 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+import { jwtSecret } from "../middlewares/auth.js";
+
+// Short-lived access token (JWT, "token" cookie) plus a rotating refresh token
+// ("refreshToken" cookie) backed by a Session document. requireAuth checks
+// the session behind every access token, so revoking one logs that device
+// out straight away.
+
+const ONE_MINUTE = 1000 * 60;
+const ONE_DAY = ONE_MINUTE * 60 * 24;
+
+// Read lazily: server.js loads .env after the imports are evaluated
+const accessTokenMinutes = () => Number(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const refreshTokenDays = () => Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+// Two tabs refreshing at once both send the same token; the one that loses
+// the race still gets through if it arrives within this window
+const ROTATION_GRACE_MS = 30 * 1000;
+
+export const REFRESH_COOKIE = "refreshToken";
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+// "<sessionId>.<secret>": the id finds the session, the secret proves it
+const newRefreshToken = (session) => {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  session.tokenHash = hashToken(secret);
+  return `${session._id}.${secret}`;
+};
+
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { email: user.email, emailVerified: Boolean(user.emailVerified), id: user._id, role: user.role, sid: session._id },
+    jwtSecret,
+    { expiresIn: `${accessTokenMinutes()}m` }
+  );
+
+const clientInfo = (req) => ({
+  userAgent: req.get("user-agent")?.slice(0, 300),
+  ip: req.ip,
+});
+
+// ------------------- ISSUE / ROTATE -------------------
+export const startSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    ...clientInfo(req),
+    expiresAt: new Date(Date.now() + refreshTokenDays() * ONE_DAY),
+  });
+  const refreshToken = newRefreshToken(session);
+  await session.save();
+
+  return { session, accessToken: signAccessToken(user, session), refreshToken };
+};
+
+// Trades a refresh token for a new pair. Returns { error } when the token is
+// unknown, expired or revoked; a token that was already rotated away revokes
+// the whole session, unless it is the one replaced within the last
+// ROTATION_GRACE_MS. That late request only gets a new access token: the
+// browser already holds the refresh token the winning request set.
+export const rotateSession = async (refreshToken, req, loadUser) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !/^[a-f\d]{24}$/i.test(sessionId)) return { error: "Invalid refresh token" };
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: "Session expired, please log in again" };
+  }
+
+  const presentedHash = hashToken(secret);
+  const nextToken = newRefreshToken(session);
+  let rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: session.tokenHash,
+        previousTokenHash: presentedHash,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + refreshTokenDays() * ONE_DAY),
+        ...clientInfo(req),
+      },
+    },
+    { new: true }
+  );
+
+  let issuedRefreshToken = nextToken;
+  if (!rotated) {
+    rotated = await Session.findOne({
+      _id: session._id,
+      previousTokenHash: presentedHash,
+      rotatedAt: { $gt: new Date(Date.now() - ROTATION_GRACE_MS) },
+      revokedAt: null,
+    });
+    issuedRefreshToken = undefined;
+  }
+  if (!rotated) {
+    await revokeSession(session._id, "reuse");
+    return { error: "Session expired, please log in again" };
+  }
+
+  const user = await loadUser(rotated.user);
+  if (!user) return { error: "User not found" };
+  if (user.suspended) {
+    await revokeSession(rotated._id);
+    return { error: "This account has been suspended" };
+  }
+
+  return { session: rotated, accessToken: signAccessToken(user, rotated), refreshToken: issuedRefreshToken };
+};
+
+// ------------------- REVOKE -------------------
+export const revokeSession = (sessionId, reason = "revoked") =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+export const revokeUserSessions = (userId, { except } = {}) => {
+  const query = { user: userId, revokedAt: null };
+  if (except) query._id = { $ne: except };
+  return Session.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: "revoked" } });
+};
+
+export const refreshTokenSession = (refreshToken) => {
+  const [sessionId] = String(refreshToken || "").split(".");
+  return /^[a-f\d]{24}$/i.test(sessionId) ? sessionId : null;
+};
+
+// ------------------- COOKIES -------------------
+const cookieOptions = {
+  httpOnly: true,
+  sameSite: "None",
+  secure: true,
+};
+
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie("token", accessToken, {
+    ...cookieOptions,
+    maxAge: accessTokenMinutes() * ONE_MINUTE,
+    path: "/",
+  });
+  // Kept off the uploads / static paths; left as it is when no new refresh
+  // token was issued
+  if (!refreshToken) return;
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...cookieOptions,
+    maxAge: refreshTokenDays() * ONE_DAY,
+    path: "/api",
+  });
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie("token", { ...cookieOptions, path: "/" });
+  res.clearCookie(REFRESH_COOKIE, { ...cookieOptions, path: "/api" });
+};
@@ -0,0 +1,53 @@
+import Booking from "../models/Booking.js";
+import ExperienceSlot from "../models/ExperienceSlot.js";
+import { releaseBookingInventory } from "./inventory.js";
+import { openRefund, approveRefund, processRefund } from "./refunds.js";
+import { EVENTS, emitEvent } from "./events.js";
+import { abandonPendingModification } from "./bookingModifications.js";
+
+// ------------------- CANCEL SLOT -------------------
+// Closes the slot to new bookings, then cancels every booking on it. The
+// guests didn't cancel, so the policy doesn't apply: paid bookings get back
+// everything they paid and unpaid holds just give their seats back.
+// Returns null if the slot is missing.
+export const cancelSlot = async (slotId, experienceId, by) => {
+  const slot = await ExperienceSlot.findOneAndUpdate(
+    { _id: slotId, experience: experienceId },
+    { $set: { status: "canceled" } },
+    { new: true }
+  );
+  if (!slot) return null;
+
+  const bookings = await Booking.find({ slot: slot._id, status: { $in: ["pending", "confirmed"] } });
+  let canceled = 0;
+  let refunded = 0;
+
+  for (const candidate of bookings) {
+    const paid = candidate.status === "confirmed";
+    const paidAmount = paid ? candidate.totalAmount : 0;
+
+    // Claimed from the status it was read in, so a guest cancelling or paying
+    // at the same moment can't settle it twice
+    const booking = await Booking.findOneAndUpdate(
+      { _id: candidate._id, status: candidate.status },
+      { $set: { status: "canceled", canceledAt: new Date(), refundableAmount: paidAmount } },
+      { new: true }
+    );
+    if (!booking) continue;
+    canceled += 1;
+
+    await abandonPendingModification(booking);
+    await releaseBookingInventory(booking);
+    emitEvent(EVENTS.BOOKING_CANCELED, { bookingId: booking._id });
+
+    if (paidAmount > 0) {
+      const refund = await openRefund({ booking, amount: paidAmount, reason: "The session was canceled", by });
+      approveRefund(refund, by, "Automatic refund for canceled session");
+      await refund.save();
+      booking.refund = refund._id;
+      if (await processRefund(refund, booking, by)) refunded += 1;
+    }
+  }
+
+  return { slot, canceled, refunded };
+};
@@ -0,0 +1,257 @@
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import User from "../models/User.js";
+import { toSmallestUnit, fromSmallestUnit } from "./paymentGateway.js";
+import { setNightsExpiry, releaseBookingInventory } from "./inventory.js";
+import { bookingStartsAt } from "./cancellationPolicy.js";
+import { confirmPaidBooking } from "./bookingPayments.js";
+import { openRefund, approveRefund, processRefund } from "./refunds.js";
+import { EVENTS, emitEvent } from "./events.js";
+
+// Split payments: the booker divides a pending booking's totalAmount into
+// shares for themselves and the people they invite. Every share is paid
+// through its own gateway order; the last one confirms the booking. If the
+// deadline passes first (or the booking is canceled) the dates are released
+// and the shares already paid are refunded.
+
+export const MAX_SPLIT_SHARES = 10;
+export const MAX_SPLIT_DEADLINE_HOURS = 72;
+// Read lazily: server.js loads .env after the imports are evaluated
+const defaultDeadlineHours = () => Number(process.env.SPLIT_DEADLINE_HOURS) || 24;
+
+const ONE_HOUR = 1000 * 60 * 60;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const fail = (status, error) => ({ status, error });
+const round = (n) => +n.toFixed(2);
+
+// Shares that name an amount keep it; what is left of the total is divided
+// evenly (to the currency's smallest unit) between the others. Returns
+// { amounts } or { error }.
+export const splitAmounts = (total, shares, currency) => {
+  const totalUnits = toSmallestUnit(total, currency);
+  let fixedUnits = 0;
+  let open = 0;
+
+  for (const { amount } of shares) {
+    if (amount === undefined || amount === null) {
+      open += 1;
+    } else if (!Number.isFinite(Number(amount)) || Number(amount) <= 0) {
+      return { error: "Share amounts must be positive numbers" };
+    } else {
+      fixedUnits += toSmallestUnit(amount, currency);
+    }
+  }
+
+  const rest = totalUnits - fixedUnits;
+  if (rest < 0) return { error: "Share amounts add up to more than the total" };
+  if (!open && rest !== 0) return { error: "Share amounts must add up to the total" };
+
+  const base = open ? Math.floor(rest / open) : 0;
+  let extra = rest - base * open;
+  const units = shares.map(({ amount }) => {
+    if (amount !== undefined && amount !== null) return toSmallestUnit(amount, currency);
+    if (extra > 0) {
+      extra -= 1;
+      return base + 1;
+    }
+    return base;
+  });
+
+  if (units.some((u) => u <= 0)) return { error: "Every share must be more than zero" };
+  return { amounts: units.map((u) => fromSmallestUnit(u, currency)) };
+};
+
+// Whether a share was addressed to the given user: by account, or by the
+// email the invitation went to once the user has proven they own it
+export const holdsShare = (share, { id, email, emailVerified }) =>
+  (share.user && share.user.toString() === id) ||
+  (!!email && emailVerified === true && share.email === email.toLowerCase());
+
+export const findShareFor = (booking, shareId, user) =>
+  booking.split?.shares.find((s) => s._id.toString() === shareId && holdsShare(s, user)) || null;
+
+export const isSplitParticipant = (booking, user) =>
+  (booking.split?.shares || []).some((s) => holdsShare(s, user));
+
+// ------------------- START -------------------
+// participants: [{ email } | { userId }, with an optional amount each];
+// `amount` is the booker's own share. Replaces any unpaid split.
+export const startSplit = async (booking, { bookerId, participants, amount, deadlineHours }) => {
+  if (!Array.isArray(participants) || participants.length === 0) {
+    return fail(400, "Invite at least one person to split with");
+  }
+  if (participants.length + 1 > MAX_SPLIT_SHARES) {
+    return fail(400, `A booking can be split at most ${MAX_SPLIT_SHARES} ways`);
+  }
+
+  const hours = deadlineHours === undefined ? defaultDeadlineHours() : Number(deadlineHours);
+  if (!(hours > 0 && hours <= MAX_SPLIT_DEADLINE_HOURS)) {
+    return fail(400, `Deadline must be within ${MAX_SPLIT_DEADLINE_HOURS} hours`);
+  }
+
+  // Everyone has to have paid before the stay / session begins
+  let deadline = new Date(Date.now() + hours * ONE_HOUR);
+  const startsAt = bookingStartsAt(booking);
+  if (startsAt && startsAt <= new Date()) return fail(400, "This booking has already started");
+  if (startsAt && deadline > startsAt) deadline = startsAt;
+
+  const booker = await User.findById(bookerId).select("email");
+  if (!booker) return fail(404, "User not found");
+
+  const shares = [{ user: booker._id, email: booker.email.toLowerCase(), amount }];
+  for (const participant of participants) {
+    let user;
+    if (participant.userId) {
+      if (!mongoose.Types.ObjectId.isValid(participant.userId)) return fail(400, "Invalid user ID format");
+      user = await User.findById(participant.userId).select("email");
+      if (!user) return fail(404, "Invited user not found");
+    } else if (EMAIL_PATTERN.test(participant.email || "")) {
+      // Link the share to an existing account when there is one whose email
+      // is verified; otherwise it waits for whoever verifies that address
+      user = await User.findOne({ email: participant.email.trim(), emailVerified: true }).select("email");
+    } else {
+      return fail(400, "Each participant needs a valid email or userId");
+    }
+
+    shares.push({
+      user: user?._id,
+      email: (user?.email || participant.email).trim().toLowerCase(),
+      amount: participant.amount,
+    });
+  }
+
+  if (new Set(shares.map((s) => s.email)).size !== shares.length) {
+    return fail(400, "Each person can only hold one share");
+  }
+
+  const { amounts, error } = splitAmounts(booking.totalAmount, shares, booking.currency);
+  if (error) return fail(400, error);
+
+  booking.split = {
+    status: "collecting",
+    deadline,
+    shares: shares.map((s, i) => ({ ...s, amount: amounts[i] })),
+  };
+  // Shares are paid through their own orders from now on
+  booking.paymentOrderId = undefined;
+  booking.holdExpiresAt = deadline;
+  if (booking.type === "place") await setNightsExpiry(booking._id, deadline);
+  await booking.save();
+
+  emitEvent(EVENTS.SPLIT_INVITED, { bookingId: booking._id });
+  return { booking };
+};
+
+// ------------------- PAY -------------------
+// The share a gateway order was created for, including orders it replaced
+export const shareForOrder = (booking, orderId) =>
+  booking.split?.shares.find((s) => s.paymentOrderId === orderId || s.previousOrderIds?.includes(orderId)) || null;
+
+// A share's payment was verified (client callback or webhook). Each step is a
+// conditional update, so parallel payments, the webhook and the sweeper agree
+// on which of them closes the split. Returns { accepted, booking } with the
+// booking as stored afterwards; accepted is false when the payment arrived
+// after the split closed, or the share was already paid, and was refunded.
+export const recordSharePayment = async (booking, share, paymentId) => {
+  const pendingShare = { "split.shares": { $elemMatch: { _id: share._id, status: "pending" } } };
+  const paid = {
+    $set: {
+      "split.shares.$.status": "paid",
+      "split.shares.$.paymentId": paymentId,
+      "split.shares.$.paidAt": new Date(),
+    },
+  };
+
+  const counted = await Booking.updateOne({ _id: booking._id, "split.status": "collecting", ...pendingShare }, paid);
+  if (!counted.modifiedCount) {
+    // Too late to count: keep the payment on record, then give it back
+    const late = await Booking.updateOne({ _id: booking._id, ...pendingShare }, paid);
+    const current = await Booking.findById(booking._id);
+    const held = current.split.shares.id(share._id);
+    if (late.modifiedCount) {
+      await refundShares(current, [held], "Split payment closed before this share was paid");
+      return { accepted: false, booking: current };
+    }
+    // Replayed callback or webhook for the payment already recorded (order.paid
+    // events may not name the payment)
+    if (!paymentId || held.paymentId === paymentId) return { accepted: current.split.status !== "failed", booking: current };
+
+    // Paid twice, e.g. once more through an order that was replaced
+    await refundDuplicatePayment(current, held, paymentId);
+    return { accepted: false, booking: current };
+  }
+
+  // Last share in: the booking is paid for in full
+  const completed = await Booking.findOneAndUpdate(
+    { _id: booking._id, "split.status": "collecting", "split.shares.status": { $ne: "pending" } },
+    { $set: { "split.status": "completed" } },
+    { new: true },
+  );
+  if (!completed) return { accepted: true, booking: await Booking.findById(booking._id) };
+
+  const confirmed = await confirmPaidBooking(completed, paymentId);
+  if (!confirmed) {
+    completed.split.status = "failed";
+    await completed.save();
+  }
+  return { accepted: confirmed, booking: completed };
+};
+
+// ------------------- REFUND -------------------
+const refundShares = async (booking, shares, reason) => {
+  for (const share of shares) {
+    const amount = round(share.amount - (share.refunded || 0));
+    if (amount <= 0) continue;
+
+    const refund = await openRefund({ booking, amount, reason, kind: "split", share: share._id });
+    approveRefund(refund, undefined, "Automatic refund for incomplete split payment");
+    await refund.save();
+    await processRefund(refund, booking, undefined, { partial: true });
+  }
+};
+
+const refundDuplicatePayment = async (booking, share, paymentId) => {
+  const refund = await openRefund({
+    booking,
+    amount: share.amount,
+    reason: "Share was already paid",
+    kind: "duplicate",
+    paymentId,
+  });
+  approveRefund(refund, undefined, "Automatic refund for duplicate share payment");
+  await refund.save();
+  await processRefund(refund, booking, undefined, { partial: true });
+};
+
+// ------------------- SWEEPER -------------------
+// Splits past their deadline, or whose booking was canceled / expired while
+// collecting: release the dates and refund whoever already paid
+export const closeLapsedSplits = async (now = new Date()) => {
+  const lapsed = await Booking.find({
+    "split.status": "collecting",
+    $or: [{ "split.deadline": { $lte: now } }, { status: { $ne: "pending" } }],
+  });
+
+  let closed = 0;
+  for (const candidate of lapsed) {
+    // Claim the close so a share paid meanwhile is either in this snapshot or
+    // sees the split closed and refunds itself
+    const booking = await Booking.findOneAndUpdate(
+      { _id: candidate._id, status: candidate.status, "split.status": "collecting" },
+      { $set: { "split.status": "failed", ...(candidate.status === "pending" && { status: "expired" }) } },
+      { new: true },
+    );
+    if (!booking) continue;
+    closed += 1;
+
+    const reason = candidate.status === "pending"
+      ? "Split payment was not completed before the deadline"
+      : `Booking was ${candidate.status} before every share was paid`;
+
+    await releaseBookingInventory(booking);
+    await refundShares(booking, booking.split.shares.filter((s) => s.status === "paid"), reason);
+  }
+
+  return closed;
+};
@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Trip from "../models/Trip.js";
+import { BASE_CURRENCY } from "./currency.js";
+import { holdExpiry } from "./holds.js";
+import { prepareBooking, claimDraft, releaseDraft } from "./bookingDrafts.js";
+import { confirmPaidBooking, failUnpaidBooking } from "./bookingPayments.js";
+
+export const MAX_TRIP_ITEMS = 10;
+
+const round2 = (n) => +Number(n).toFixed(2);
+
+// ------------------- CREATE -------------------
+// Validates every item, then claims and writes them all or none. Items share
+// one hold and one currency. Returns { trip, bookings } or a failure
+// { status, error, item } where `item` is the index of the offending entry.
+export const createTrip = async ({ userId, items, contact, currency = BASE_CURRENCY }) => {
+  const holdExpiresAt = holdExpiry();
+  const drafts = [];
+
+  for (const [index, item] of items.entries()) {
+    const prepared = await prepareBooking(
+      { ...item, ...contact },
+      { userId, currency, holdExpiresAt, allowRequests: false }
+    );
+    if (prepared.error) return { ...prepared, item: index };
+    drafts.push(prepared.draft);
+  }
+
+  // Claim one by one; the first failure gives back everything taken so far
+  const claimed = [];
+  for (const [index, draft] of drafts.entries()) {
+    const failure = await claimDraft(draft);
+    if (failure) {
+      for (const done of claimed) await releaseDraft(done);
+      return { ...failure, item: index };
+    }
+    claimed.push(draft);
+  }
+
+  const tripId = new mongoose.Types.ObjectId();
+  const bookingIds = drafts.map((d) => d.bookingData._id);
+
+  try {
+    const bookings = await Booking.insertMany(drafts.map((d) => ({ ...d.bookingData, trip: tripId })));
+    const trip = await Trip.create({
+      _id: tripId,
+      user: userId,
+      name: contact.name,
+      bookings: bookingIds,
+      currency: drafts[0].bookingData.currency,
+      totalAmount: round2(drafts.reduce((sum, d) => sum + d.bookingData.totalAmount, 0)),
+      holdExpiresAt,
+    });
+    return { trip, bookings };
+  } catch (err) {
+    await Booking.deleteMany({ _id: { $in: bookingIds } });
+    for (const draft of drafts) await releaseDraft(draft);
+    throw err;
+  }
+};
+
+// ------------------- PAYMENT OUTCOMES -------------------
+// One verified payment covers every booking in the trip. Bookings whose hold
+// lapsed and can't be reclaimed are refunded individually (see
+// confirmPaidBooking), which leaves the trip "partial". Verify and the webhook
+// may both get here: each booking is confirmed once, and the trip's outcome is
+// read back from the bookings rather than counted by this call.
+export const confirmPaidTrip = async (trip, paymentId) => {
+  const bookings = await Booking.find({ _id: { $in: trip.bookings } });
+
+  let confirmed = 0;
+  for (const booking of bookings) {
+    if (await confirmPaidBooking(booking, paymentId)) confirmed += 1;
+  }
+
+  const outcome = {
+    status: confirmed === bookings.length ? "confirmed" : confirmed ? "partial" : "failed",
+    paymentId,
+    paidAt: new Date(),
+  };
+  const settled = await Trip.findOneAndUpdate(
+    { _id: trip._id, status: { $in: ["pending", "expired"] } },
+    { $set: outcome },
+    { new: true }
+  );
+  trip.set(settled ? outcome : { status: (await Trip.findById(trip._id)).status });
+  return trip;
+};
+
+export const failUnpaidTrip = async (trip) => {
+  const bookings = await Booking.find({ _id: { $in: trip.bookings }, status: "pending" });
+  for (const booking of bookings) await failUnpaidBooking(booking);
+
+  const failed = await Trip.updateOne({ _id: trip._id, status: "pending" }, { $set: { status: "failed" } });
+  trip.set({ status: failed.modifiedCount ? "failed" : (await Trip.findById(trip._id)).status });
+  return trip;
+};
+
+// ------------------- SWEEPER -------------------
+// The bookings themselves are expired by expireStaleHolds
+export const expireStaleTrips = async (now = new Date()) => {
+  const result = await Trip.updateMany(
+    { status: "pending", holdExpiresAt: { $lte: now } },
+    { $set: { status: "expired" } }
+  );
+  return result.modifiedCount;
+};